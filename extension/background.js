@@ -1,12 +1,59 @@
-import { downloadCsv } from "./csv-export.js";
+import { loadCsvDialect } from "./csv-export.js";
+import { SOURCE_FIELDS, loadExportSchema } from "./export-schema.js";
+import {
+  DEFAULT_EXPORT_FORMATS,
+  EXPORT_FORMAT_OPTIONS,
+  ensureExportFormats,
+  exportRows,
+  exportsReviews,
+} from "./exporters.js";
+import { compareWithPreviousRun, filterChangedRows } from "./delta.js";
+import { buildDiagnosticsBaseline, findFillRateDrops, summariseFieldDiagnostics } from "./diagnostics.js";
+import {
+  classifyError,
+  classifyReportedError,
+  createError,
+  errorCodeForHttpStatus,
+  getErrorLabel,
+  isTransientError,
+} from "./errors.js";
+import {
+  deleteRun,
+  getLatestCompleteRunForList,
+  getLatestRun,
+  getRun,
+  listRuns,
+  saveRun,
+  updateRun,
+} from "./history-db.js";
+import { getPhoneLineType, parseIranianPhones } from "./phone-numbers.js";
+import { normaliseOfficeSchedule } from "./schedule.js";
+import { loadSelectorProfile } from "./selector-profile.js";
+import { createAdaptiveThrottle } from "./throttle.js";
 
 const STATUS_STORAGE_KEY = "nobatDoctorScraperStatus";
 const CONFIG_STORAGE_KEY = "nobatDoctorScraperConfig";
+const RUN_STORAGE_KEY = "nobatDoctorScraperRun";
+const RUN_QUEUE_STORAGE_KEY = "nobatDoctorScraperRunQueue";
 const DEFAULT_CONFIG = {
   delayMs: 2500,
   maxRetries: 2,
+  concurrency: 1,
+  scrapeMode: "tab",
+  exportFormats: DEFAULT_EXPORT_FORMATS,
+  changesOnly: false,
 };
 const MAX_RETRY_LIMIT = 5;
+const MAX_CONCURRENCY_LIMIT = 5;
+const SCRAPE_MODES = ["tab", "fetch"];
+const OFFSCREEN_DOCUMENT_PATH = "offscreen.html";
+const PROFILE_FETCH_TIMEOUT_MS = 45000;
+// Fetch failures a scraper tab would only repeat: a missing profile, or a rate limit that another request would worsen.
+const FINAL_FETCH_ERROR_CODES = ["NOT_FOUND", "RATE_LIMITED"];
+// The service worker is stopped after 30 s without extension events; any extension API call resets that timer.
+const PAUSE_KEEPALIVE_INTERVAL_MS = 20000;
+// Next available slot as produced by the content script: ISO date with an optional site-local time.
+const ISO_SLOT_PATTERN = /^\d{4}-(?:0[1-9]|1[0-2])-(?:0[1-9]|[12]\d|3[01])(?:T(?:[01]\d|2[0-3]):[0-5]\d)?$/;
 
 const DIGIT_MAP = {
   "۰": "0",
@@ -40,17 +87,35 @@ const state = {
   listWindowId: null,
   listTabIndex: null,
   listInitialUrl: null,
-  scraperTabId: null,
+  listCollectorTabId: null,
+  scraperTabIds: [],
   delayMs: DEFAULT_CONFIG.delayMs,
   maxRetries: DEFAULT_CONFIG.maxRetries,
+  concurrency: DEFAULT_CONFIG.concurrency,
+  scrapeMode: DEFAULT_CONFIG.scrapeMode,
+  exportFormats: DEFAULT_CONFIG.exportFormats.slice(),
+  changesOnly: DEFAULT_CONFIG.changesOnly,
+  completed: new Set(),
   errors: [],
   lastDoctor: null,
   retrying: null,
   stopRequested: false,
+  isPaused: false,
+  pauseGate: null,
   visited: new Set(),
+  startedAt: null,
+  checkpoint: null,
+  throttle: null,
+  nextRequestAt: 0,
+  retryRun: null,
+  selectorProfile: null,
+  diagnosticsBaseline: null,
+  lastDiagnostics: null,
+  configBeforeResume: null,
 };
 
 let autoDiscardableSettingSupported = true;
+let offscreenDocumentPromise = null;
 
 let resolveConfigReady;
 const configReady = new Promise((resolve) => {
@@ -75,18 +140,6 @@ function normaliseText(value) {
   return normaliseWhitespace(value);
 }
 
-function normalisePhoneValue(value) {
-  const text = normaliseWhitespace(value);
-  if (!text) {
-    return "";
-  }
-  return text;
-}
-
-function phoneKey(_, value) {
-  return convertLocaleDigits(value).replace(/[^0-9+]/g, "");
-}
-
 function collectValues(...values) {
   const buffer = [];
   values.forEach((value) => {
@@ -123,8 +176,26 @@ function toNormalisedList(...values) {
   return uniqueNormalisedList(collectValues(...values));
 }
 
-function toNormalisedPhoneList(...values) {
-  return uniqueNormalisedList(collectValues(...values), normalisePhoneValue, phoneKey);
+// E.164 where possible; local numbers take the area code of `city`, so "021-88...", "88..." and "+9821..." merge.
+function toNormalisedPhoneList(city, ...values) {
+  const numbers = collectValues(...values).flatMap((value) =>
+    parseIranianPhones(value, city).map((phone) => phone.number)
+  );
+  return uniqueNormalisedList(numbers, null);
+}
+
+function toOptionalBoolean(value) {
+  return typeof value === "boolean" ? value : null;
+}
+
+// Both coordinates or neither; 0,0 is what broken map embeds produce.
+function toCoordinatePair(latitude, longitude) {
+  const lat = toOptionalNumber(latitude);
+  const lng = toOptionalNumber(longitude);
+  if (lat === null || lng === null || Math.abs(lat) > 90 || Math.abs(lng) > 180 || (lat === 0 && lng === 0)) {
+    return { latitude: null, longitude: null };
+  }
+  return { latitude: lat, longitude: lng };
 }
 
 function normaliseOfficeList(offices) {
@@ -142,7 +213,7 @@ function normaliseOfficeList(offices) {
 
     const city = normaliseText(office.city || "");
     const addresses = toNormalisedList(office.addresses, office.address);
-    const phones = toNormalisedPhoneList(office.phones, office.phone);
+    const phones = toNormalisedPhoneList(city, office.phones, office.phone);
 
     if (!city && !addresses.length && !phones.length) {
       return;
@@ -154,7 +225,17 @@ function normaliseOfficeList(offices) {
     }
     seen.add(key);
 
-    normalised.push({ city, addresses, phones });
+    normalised.push({
+      city,
+      addresses,
+      phones,
+      schedule: normaliseOfficeSchedule(office.schedule),
+      onlineBooking: toOptionalBoolean(office.onlineBooking),
+      phoneConsultation: toOptionalBoolean(office.phoneConsultation),
+      onlineConsultation: toOptionalBoolean(office.onlineConsultation),
+      nextAvailable: ISO_SLOT_PATTERN.test(office.nextAvailable ?? "") ? office.nextAvailable : "",
+      ...toCoordinatePair(office.latitude, office.longitude),
+    });
   });
 
   return normalised;
@@ -203,17 +284,19 @@ function normaliseDoctorData(data = {}, url) {
     data.address,
     offices.flatMap((office) => office.addresses)
   );
-  const phones = toNormalisedPhoneList(
-    data.phones,
-    data.phone,
-    offices.flatMap((office) => office.phones)
-  );
+  const reviews = normaliseReviewList(data.reviews);
 
   const resolvedUrl = typeof url === "string" && url.length ? url : data.url || "";
 
   const resolvedCity = normaliseText(
     data.city || offices.find((office) => office.city)?.city || ""
   );
+  const phones = toNormalisedPhoneList(
+    resolvedCity,
+    data.phones,
+    data.phone,
+    offices.flatMap((office) => office.phones)
+  );
 
   return {
     url: resolvedUrl,
@@ -224,9 +307,51 @@ function normaliseDoctorData(data = {}, url) {
     address: addresses,
     phones,
     offices,
+    rating: toOptionalNumber(data.rating),
+    reviewCount: toOptionalNumber(data.reviewCount),
+    satisfaction: toOptionalNumber(data.satisfaction),
+    reviews,
+    sources: normaliseFieldSources(data.sources, { address: addresses, phones, offices, reviews }),
   };
 }
 
+function normaliseReviewList(reviews) {
+  if (!Array.isArray(reviews)) {
+    return [];
+  }
+  return reviews
+    .filter((review) => review && typeof review === "object")
+    .map((review) => ({
+      text: normaliseText(review.text || ""),
+      date: normaliseText(review.date || ""),
+      score: toOptionalNumber(review.score),
+      recommended: typeof review.recommended === "boolean" ? review.recommended : null,
+    }))
+    .filter((review) => review.text || review.score !== null);
+}
+
+function toOptionalNumber(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Content-script source tags per field, renamed to the result fields (`addresses` -> `address`).
+function normaliseFieldSources(sources, values = {}) {
+  if (!sources || typeof sources !== "object") {
+    return {};
+  }
+  const renamed = { ...sources, address: sources.address ?? sources.addresses };
+  delete renamed.addresses;
+  return Object.fromEntries(
+    Object.entries(renamed)
+      .filter(([field, tags]) => Array.isArray(tags) && tags.length && (!(field in values) || values[field].length))
+      .map(([field, tags]) => [field, tags.map((tag) => String(tag))])
+  );
+}
+
 function normaliseDoctorProfileUrl(rawUrl) {
   if (!rawUrl) {
     return null;
@@ -272,23 +397,68 @@ function ensureRetries(value, fallback = state.maxRetries ?? DEFAULT_CONFIG.maxR
   return Math.min(MAX_RETRY_LIMIT, Math.max(0, Math.round(numeric)));
 }
 
+function ensureConcurrency(value, fallback = state.concurrency ?? DEFAULT_CONFIG.concurrency) {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric) || numeric < 1) {
+    return Math.min(MAX_CONCURRENCY_LIMIT, Math.max(1, Math.round(fallback)));
+  }
+  return Math.min(MAX_CONCURRENCY_LIMIT, Math.max(1, Math.round(numeric)));
+}
+
+function ensureScrapeMode(value, fallback = state.scrapeMode ?? DEFAULT_CONFIG.scrapeMode) {
+  return SCRAPE_MODES.includes(value) ? value : fallback;
+}
+
+function getConfigSnapshot() {
+  return {
+    delayMs: state.delayMs,
+    maxRetries: state.maxRetries,
+    concurrency: state.concurrency,
+    scrapeMode: state.scrapeMode,
+    exportFormats: state.exportFormats.slice(),
+    changesOnly: state.changesOnly,
+  };
+}
+
 async function loadPersistedConfig() {
   try {
     const stored = await chrome.storage.local.get(CONFIG_STORAGE_KEY);
     const persisted = stored?.[CONFIG_STORAGE_KEY];
     const delay = ensureDelay(persisted?.delayMs, DEFAULT_CONFIG.delayMs);
     const retries = ensureRetries(persisted?.maxRetries, DEFAULT_CONFIG.maxRetries);
+    const concurrency = ensureConcurrency(persisted?.concurrency, DEFAULT_CONFIG.concurrency);
+    const scrapeMode = ensureScrapeMode(persisted?.scrapeMode, DEFAULT_CONFIG.scrapeMode);
+    const exportFormats = ensureExportFormats(persisted?.exportFormats, DEFAULT_CONFIG.exportFormats);
     state.delayMs = delay;
     state.maxRetries = retries;
-    if (!persisted || persisted.delayMs !== delay || persisted.maxRetries !== retries) {
-      await chrome.storage.local.set({
-        [CONFIG_STORAGE_KEY]: { delayMs: delay, maxRetries: retries },
-      });
+    state.concurrency = concurrency;
+    state.scrapeMode = scrapeMode;
+    const changesOnly = persisted?.changesOnly === true;
+    state.exportFormats = exportFormats;
+    state.changesOnly = changesOnly;
+    if (
+      !persisted ||
+      persisted.delayMs !== delay ||
+      persisted.maxRetries !== retries ||
+      persisted.concurrency !== concurrency ||
+      persisted.scrapeMode !== scrapeMode ||
+      JSON.stringify(persisted.exportFormats) !== JSON.stringify(exportFormats) ||
+      persisted.changesOnly !== changesOnly
+    ) {
+      await chrome.storage.local.set({ [CONFIG_STORAGE_KEY]: getConfigSnapshot() });
     }
   } catch (error) {
     console.error("Failed to load persisted configuration", error);
     state.delayMs = DEFAULT_CONFIG.delayMs;
     state.maxRetries = DEFAULT_CONFIG.maxRetries;
+    state.concurrency = DEFAULT_CONFIG.concurrency;
+    state.scrapeMode = DEFAULT_CONFIG.scrapeMode;
+    state.exportFormats = DEFAULT_CONFIG.exportFormats.slice();
+    state.changesOnly = DEFAULT_CONFIG.changesOnly;
+  }
+
+  try {
+    state.checkpoint = summariseCheckpoint(await loadRunCheckpoint());
   } finally {
     if (typeof resolveConfigReady === "function") {
       resolveConfigReady();
@@ -297,6 +467,113 @@ async function loadPersistedConfig() {
   }
 }
 
+// The checkpoint is split so a profile only rewrites its own row: a small progress record, the queue (written
+// once per run) and one entry per finished profile.
+function getCheckpointResultKey(index) {
+  return `${RUN_STORAGE_KEY}Result:${index}`;
+}
+
+function buildRunCheckpoint() {
+  return {
+    total: state.queue.length,
+    completed: Array.from(state.completed),
+    errors: state.errors.map((error) => ({ ...error })),
+    lastDoctor: state.lastDoctor ? { ...state.lastDoctor } : null,
+    listInitialUrl: state.listInitialUrl,
+    ...getConfigSnapshot(),
+    startedAt: state.startedAt,
+    retryRun: state.retryRun ? { ...state.retryRun } : null,
+    savedAt: new Date().toISOString(),
+  };
+}
+
+function summariseCheckpoint(checkpoint) {
+  // Checkpoints from older versions carry the queue inline instead of a total.
+  const total = checkpoint?.total ?? checkpoint?.queue?.length ?? 0;
+  if (!total) {
+    return null;
+  }
+  const completed = Array.isArray(checkpoint.completed) ? checkpoint.completed.length : 0;
+  return {
+    total,
+    processed: Math.min(completed, total),
+    listUrl: checkpoint.listInitialUrl || null,
+    savedAt: checkpoint.savedAt || null,
+  };
+}
+
+async function loadRunCheckpoint() {
+  try {
+    const stored = await chrome.storage.local.get(RUN_STORAGE_KEY);
+    return stored?.[RUN_STORAGE_KEY] || null;
+  } catch (error) {
+    console.warn("Failed to read run checkpoint", error);
+    return null;
+  }
+}
+
+// Queue and finished rows of a checkpoint, read only when the run is actually resumed.
+async function loadRunCheckpointData(checkpoint) {
+  if (Array.isArray(checkpoint.queue)) {
+    return { queue: checkpoint.queue, results: Array.isArray(checkpoint.results) ? checkpoint.results : [] };
+  }
+  const stored = await chrome.storage.local.get(RUN_QUEUE_STORAGE_KEY);
+  const queue = Array.isArray(stored?.[RUN_QUEUE_STORAGE_KEY]) ? stored[RUN_QUEUE_STORAGE_KEY] : [];
+  const completed = (Array.isArray(checkpoint.completed) ? checkpoint.completed : []).filter(
+    (index) => Number.isInteger(index) && index >= 0 && index < queue.length
+  );
+  const rows = completed.length ? await chrome.storage.local.get(completed.map(getCheckpointResultKey)) : {};
+  const results = [];
+  completed.forEach((index) => {
+    results[index] = rows?.[getCheckpointResultKey(index)] ?? null;
+  });
+  return { queue, results };
+}
+
+// `queue` writes the queue and every row already present (a new run or a retry seeded from history);
+// `resultIndex` writes the row of the profile that just finished.
+async function saveRunCheckpoint({ queue = false, resultIndex = null } = {}) {
+  const checkpoint = buildRunCheckpoint();
+  const entries = { [RUN_STORAGE_KEY]: checkpoint };
+  if (queue) {
+    await removeRunCheckpointData();
+    entries[RUN_QUEUE_STORAGE_KEY] = state.queue.slice();
+    state.results.forEach((result, index) => {
+      if (result) {
+        entries[getCheckpointResultKey(index)] = result;
+      }
+    });
+  }
+  if (resultIndex !== null && state.results[resultIndex]) {
+    entries[getCheckpointResultKey(resultIndex)] = state.results[resultIndex];
+  }
+  try {
+    await chrome.storage.local.set(entries);
+    state.checkpoint = summariseCheckpoint(checkpoint);
+  } catch (error) {
+    console.warn("Failed to checkpoint scraping run", error);
+  }
+}
+
+async function removeRunCheckpointData() {
+  try {
+    const checkpoint = await loadRunCheckpoint();
+    const total = Math.max(checkpoint?.total ?? 0, state.queue.length);
+    const keys = [RUN_STORAGE_KEY, RUN_QUEUE_STORAGE_KEY];
+    for (let index = 0; index < total; index += 1) {
+      keys.push(getCheckpointResultKey(index));
+    }
+    await chrome.storage.local.remove(keys);
+  } catch (error) {
+    console.warn("Failed to clear run checkpoint", error);
+  }
+}
+
+async function clearRunCheckpoint() {
+  state.checkpoint = null;
+  await removeRunCheckpointData();
+}
+
 loadPersistedConfig();
 
 function delay(ms) {
@@ -398,7 +675,7 @@ function injectContentScript(tabId) {
     chrome.scripting.executeScript(
       {
         target: { tabId },
-        files: ["content-script.js"],
+        files: ["phone-rules.js", "content-script.js"],
       },
       () => {
         if (chrome.runtime.lastError) {
@@ -411,13 +688,20 @@ function injectContentScript(tabId) {
   });
 }
 
+function forgetScraperTab(tabId) {
+  const slot = state.scraperTabIds.indexOf(tabId);
+  if (slot >= 0) {
+    state.scraperTabIds[slot] = null;
+  }
+}
+
 function sendMessageToTab(tabId, message) {
   return new Promise((resolve, reject) => {
     chrome.tabs.sendMessage(tabId, message, (response) => {
       if (chrome.runtime.lastError) {
         const error = new Error(chrome.runtime.lastError.message);
-        if (tabId === state.scraperTabId && /No tab with id/i.test(error.message)) {
-          state.scraperTabId = null;
+        if (/No tab with id/i.test(error.message)) {
+          forgetScraperTab(tabId);
         }
         reject(error);
         return;
@@ -441,7 +725,7 @@ async function waitForTabLoad(tabId, timeoutMs = 45000) {
 
   const initialTab = await getExistingTab();
   if (!initialTab) {
-    throw new Error("The tab was closed before loading completed.");
+    throw createError("TAB_CLOSED", "The tab was closed before loading completed.");
   }
 
   if (initialTab.status === "complete") {
@@ -455,7 +739,7 @@ async function waitForTabLoad(tabId, timeoutMs = 45000) {
       if (!finished) {
         finished = true;
         cleanup();
-        reject(new Error("Timed out while waiting for the page to finish loading."));
+        reject(createError("TIMEOUT", "Timed out while waiting for the page to finish loading."));
       }
     }, timeoutMs);
 
@@ -490,7 +774,7 @@ async function waitForTabLoad(tabId, timeoutMs = 45000) {
         return;
       }
       if (!tab) {
-        finish(new Error("The tab was closed before loading completed."));
+        finish(createError("TAB_CLOSED", "The tab was closed before loading completed."));
         return;
       }
       if (tab.status === "complete") {
@@ -515,7 +799,7 @@ async function waitForTabLoad(tabId, timeoutMs = 45000) {
       if (removedTabId !== tabId) {
         return;
       }
-      finish(new Error("The tab was closed before loading completed."));
+      finish(createError("TAB_CLOSED", "The tab was closed before loading completed."));
     }
 
     chrome.tabs.onUpdated.addListener(handleUpdate);
@@ -541,23 +825,63 @@ function recordError(url, message, extra = {}) {
   state.errors.push({ url, message, ...extra });
 }
 
+// Groups profile failures by error code; run-level errors (downloads, history) have no code and are left out.
+function summariseErrors(errors) {
+  const counts = new Map();
+  errors.forEach((error) => {
+    if (error.code) {
+      counts.set(error.code, (counts.get(error.code) ?? 0) + 1);
+    }
+  });
+  return Array.from(counts, ([code, count]) => ({ code, label: getErrorLabel(code), count })).sort(
+    (a, b) => b.count - a.count
+  );
+}
+
+function getRunDiagnostics() {
+  if (!state.results.some(Boolean)) {
+    return state.lastDiagnostics;
+  }
+  const diagnostics = summariseFieldDiagnostics(state.results);
+  return {
+    diagnostics,
+    baselineRates: state.diagnosticsBaseline?.rates ?? null,
+    warnings: findFillRateDrops(diagnostics, state.diagnosticsBaseline),
+  };
+}
+
+async function loadDiagnosticsBaseline() {
+  try {
+    return buildDiagnosticsBaseline(await listRuns(), { excludeId: state.retryRun?.id ?? null });
+  } catch (error) {
+    console.warn("Failed to load previous run diagnostics", error);
+    return null;
+  }
+}
+
 async function updateStatus(partial = {}) {
   await configReady;
 
   const total = state.queue.length;
-  const processed = Math.min(state.currentIndex, total);
+  const processed = Math.min(state.completed.size, total);
   const pending = Math.max(total - processed, 0);
 
   const status = {
     isScraping: state.isScraping,
+    isPaused: state.isScraping && state.isPaused,
     total,
     processed,
     pending,
     errors: state.errors.map((error) => ({ ...error })),
-    delayMs: state.delayMs,
-    maxRetries: state.maxRetries,
+    errorSummary: summariseErrors(state.errors),
+    ...getConfigSnapshot(),
     lastDoctor: state.lastDoctor ? { ...state.lastDoctor } : null,
     retrying: state.retrying ? { ...state.retrying } : null,
+    resumable: !state.isScraping && state.checkpoint ? { ...state.checkpoint } : null,
+    // Broadcast with the final status of a run so an open popup can offer to retry its failures.
+    retryable: state.isScraping ? null : await getRetryableRun(),
+    throttle: state.isScraping && state.throttle ? state.throttle.snapshot() : null,
+    fieldDiagnostics: getRunDiagnostics(),
     message: partial.message ?? (state.isScraping ? "Scraping in progress..." : "Idle."),
   };
 
@@ -595,10 +919,7 @@ async function updateStatus(partial = {}) {
 
 async function applyConfig(partialConfig = {}, { persist = false } = {}) {
   await configReady;
-  const updated = {
-    delayMs: state.delayMs,
-    maxRetries: state.maxRetries,
-  };
+  const updated = getConfigSnapshot();
 
   if (partialConfig.delayMs !== undefined) {
     updated.delayMs = ensureDelay(partialConfig.delayMs, updated.delayMs);
@@ -606,33 +927,54 @@ async function applyConfig(partialConfig = {}, { persist = false } = {}) {
   if (partialConfig.maxRetries !== undefined) {
     updated.maxRetries = ensureRetries(partialConfig.maxRetries, updated.maxRetries);
   }
+  if (partialConfig.concurrency !== undefined) {
+    updated.concurrency = ensureConcurrency(partialConfig.concurrency, updated.concurrency);
+  }
+  if (partialConfig.scrapeMode !== undefined) {
+    updated.scrapeMode = ensureScrapeMode(partialConfig.scrapeMode, updated.scrapeMode);
+  }
+  if (partialConfig.exportFormats !== undefined) {
+    updated.exportFormats = ensureExportFormats(partialConfig.exportFormats, updated.exportFormats);
+  }
+  if (partialConfig.changesOnly !== undefined) {
+    updated.changesOnly = partialConfig.changesOnly === true;
+  }
 
   state.delayMs = updated.delayMs;
+  state.throttle?.setBaseDelay(state.delayMs);
   state.maxRetries = updated.maxRetries;
+  state.concurrency = updated.concurrency;
+  state.scrapeMode = updated.scrapeMode;
+  state.exportFormats = updated.exportFormats;
+  state.changesOnly = updated.changesOnly;
 
   if (persist) {
     try {
-      await chrome.storage.local.set({
-        [CONFIG_STORAGE_KEY]: {
-          delayMs: state.delayMs,
-          maxRetries: state.maxRetries,
-        },
-      });
+      await chrome.storage.local.set({ [CONFIG_STORAGE_KEY]: getConfigSnapshot() });
     } catch (error) {
       console.warn("Failed to persist configuration", error);
     }
   }
 
-  return { delayMs: state.delayMs, maxRetries: state.maxRetries };
+  return getConfigSnapshot();
+}
+
+// Loaded once per run so a profile edited mid-run does not mix selector sets within one result set.
+async function getRunSelectorProfile() {
+  if (!state.selectorProfile) {
+    state.selectorProfile = await loadSelectorProfile();
+  }
+  return state.selectorProfile;
 }
 
 async function requestDoctorLinksFromTab(tabId) {
+  const message = { type: "GET_DOCTOR_LINKS", selectorProfile: await getRunSelectorProfile() };
   try {
-    return await sendMessageToTab(tabId, { type: "GET_DOCTOR_LINKS" });
+    return await sendMessageToTab(tabId, message);
   } catch (error) {
     if (/Receiving end does not exist/i.test(error.message)) {
       await injectContentScript(tabId);
-      return await sendMessageToTab(tabId, { type: "GET_DOCTOR_LINKS" });
+      return await sendMessageToTab(tabId, message);
     }
     throw error;
   }
@@ -655,101 +997,104 @@ function normaliseListPageUrl(rawUrl, baseUrl) {
   }
 }
 
-async function restoreListTab(tabId, targetUrl) {
-  if (!targetUrl) {
+async function createListCollectorTab(url) {
+  const createOptions = {
+    url,
+    active: false,
+  };
+
+  if (Number.isInteger(state.listWindowId)) {
+    createOptions.windowId = state.listWindowId;
+  }
+  if (Number.isInteger(state.listTabIndex)) {
+    createOptions.index = state.listTabIndex;
+  }
+
+  const tab = await createTab(createOptions);
+  state.listCollectorTabId = tab.id;
+  await waitForTabLoad(tab.id);
+  return tab.id;
+}
+
+async function cleanupListCollectorTab() {
+  if (!state.listCollectorTabId) {
     return;
   }
+  const tabId = state.listCollectorTabId;
+  state.listCollectorTabId = null;
   try {
-    await updateTab(tabId, { url: targetUrl });
-    await waitForTabLoad(tabId);
+    await removeTab(tabId);
   } catch (error) {
-    console.warn("Failed to restore list tab", error);
+    if (!/No tab with id/i.test(error.message)) {
+      console.warn("Failed to remove list collector tab", error);
+    }
   }
 }
 
-async function getDoctorLinksFromTab(tabId) {
+// Walks the list pagination in a dedicated background tab so the user's own tab is never navigated.
+async function collectDoctorLinks(listUrl) {
   const unique = [];
   const seen = new Set();
   const visitedPages = new Set();
   const maxPages = 50;
   let iterations = 0;
 
-  let initialUrl = state.listInitialUrl || null;
-
-  try {
-    const tab = await getTab(tabId);
-    if (tab?.url) {
-      initialUrl = tab.url;
-    }
-  } catch (error) {
-    console.warn("Failed to read initial list tab URL", error);
-  }
-
-  const normalisedInitial = normaliseListPageUrl(initialUrl, initialUrl);
-  if (normalisedInitial) {
-    visitedPages.add(normalisedInitial);
+  const initialUrl = normaliseListPageUrl(listUrl, listUrl);
+  if (!initialUrl) {
+    throw new Error("Invalid doctors list URL.");
   }
+  visitedPages.add(initialUrl);
 
   let currentBaseUrl = initialUrl;
 
-  while (iterations < maxPages) {
-    const response = await requestDoctorLinksFromTab(tabId);
-    if (response?.error) {
-      throw new Error(response.error);
-    }
-
-    const rawLinks = Array.isArray(response?.links) ? response.links : [];
-    rawLinks.forEach((link) => {
-      const normalised = normaliseDoctorProfileUrl(link);
-      if (normalised && !seen.has(normalised)) {
-        seen.add(normalised);
-        unique.push(normalised);
-      }
-    });
-
-    const currentTab = await getTab(tabId).catch(() => null);
-    if (currentTab?.url) {
-      currentBaseUrl = currentTab.url;
-      const normalisedCurrent = normaliseListPageUrl(currentBaseUrl, initialUrl);
-      if (normalisedCurrent) {
-        visitedPages.add(normalisedCurrent);
+  // Created inside the try so a first page that fails to load still has its tab removed.
+  try {
+    const tabId = await createListCollectorTab(initialUrl);
+    while (iterations < maxPages) {
+      const response = await requestDoctorLinksFromTab(tabId);
+      if (response?.error) {
+        throw new Error(response.error);
       }
-    }
 
-    const nextPageRaw = response?.nextPageUrl;
-    const nextPageUrl = normaliseListPageUrl(nextPageRaw, currentBaseUrl || initialUrl);
-
-    if (!nextPageUrl || visitedPages.has(nextPageUrl)) {
-      break;
-    }
+      const rawLinks = Array.isArray(response?.links) ? response.links : [];
+      rawLinks.forEach((link) => {
+        const normalised = normaliseDoctorProfileUrl(link);
+        if (normalised && !seen.has(normalised)) {
+          seen.add(normalised);
+          unique.push(normalised);
+        }
+      });
 
-    visitedPages.add(nextPageUrl);
-    iterations += 1;
+      const currentTab = await getTab(tabId).catch(() => null);
+      if (currentTab?.url) {
+        currentBaseUrl = currentTab.url;
+        const normalisedCurrent = normaliseListPageUrl(currentBaseUrl, initialUrl);
+        if (normalisedCurrent) {
+          visitedPages.add(normalisedCurrent);
+        }
+      }
 
-    await updateTab(tabId, { url: nextPageUrl });
-    await waitForTabLoad(tabId);
-  }
+      const nextPageRaw = response?.nextPageUrl;
+      const nextPageUrl = normaliseListPageUrl(nextPageRaw, currentBaseUrl || initialUrl);
 
-  if (normalisedInitial) {
-    let currentNormalised = null;
-    try {
-      const currentTab = await getTab(tabId);
-      if (currentTab?.url) {
-        currentNormalised = normaliseListPageUrl(currentTab.url, initialUrl);
+      if (!nextPageUrl || visitedPages.has(nextPageUrl)) {
+        break;
       }
-    } catch (error) {
-      console.warn("Failed to read list tab URL during restore", error);
-    }
 
-    if (currentNormalised !== normalisedInitial) {
-      await restoreListTab(tabId, normalisedInitial);
+      visitedPages.add(nextPageUrl);
+      iterations += 1;
+
+      await updateTab(tabId, { url: nextPageUrl });
+      await waitForTabLoad(tabId);
     }
+  } finally {
+    await cleanupListCollectorTab();
   }
 
   return unique;
 }
 
-async function createScraperTab(url) {
+async function createScraperTab(url, slot) {
   const createOptions = {
     url,
     active: false,
@@ -763,7 +1108,7 @@ async function createScraperTab(url) {
   }
 
   const tab = await createTab(createOptions);
-  state.scraperTabId = tab.id;
+  state.scraperTabIds[slot] = tab.id;
   if (typeof tab?.id === "number") {
     await setTabAutoDiscardable(tab.id, true);
   }
@@ -771,39 +1116,40 @@ async function createScraperTab(url) {
   return tab.id;
 }
 
-async function ensureScraperTab(url) {
+async function ensureScraperTab(url, slot = 0) {
   const targetUrl = normaliseDoctorProfileUrl(url);
   if (!targetUrl) {
-    throw new Error("Invalid doctor profile URL provided.");
+    throw createError("INVALID_URL", "Invalid doctor profile URL provided.");
   }
 
-  if (state.scraperTabId) {
+  const existingTabId = state.scraperTabIds[slot];
+  if (existingTabId) {
     try {
-      await updateTab(state.scraperTabId, { url: targetUrl, active: false });
-      if (Number.isInteger(state.scraperTabId)) {
-        await setTabAutoDiscardable(state.scraperTabId, true);
+      await updateTab(existingTabId, { url: targetUrl, active: false });
+      if (Number.isInteger(existingTabId)) {
+        await setTabAutoDiscardable(existingTabId, true);
       }
-      await waitForTabLoad(state.scraperTabId);
-      return state.scraperTabId;
+      await waitForTabLoad(existingTabId);
+      return existingTabId;
     } catch (error) {
       console.warn("Failed to reuse existing scraper tab", error);
       try {
-        await cleanupScraperTab();
+        await cleanupScraperTab(slot);
       } catch (cleanupError) {
         console.warn("Failed to clean up scraper tab", cleanupError);
       }
     }
   }
 
-  return createScraperTab(targetUrl);
+  return createScraperTab(targetUrl, slot);
 }
 
-async function cleanupScraperTab() {
-  if (!state.scraperTabId) {
+async function cleanupScraperTab(slot) {
+  const tabId = state.scraperTabIds[slot];
+  if (!tabId) {
     return;
   }
-  const tabId = state.scraperTabId;
-  state.scraperTabId = null;
+  state.scraperTabIds[slot] = null;
   try {
     await removeTab(tabId);
   } catch (error) {
@@ -813,54 +1159,213 @@ async function cleanupScraperTab() {
   }
 }
 
-async function scrapeDoctorProfile(url) {
-  const tabId = await ensureScraperTab(url);
+async function cleanupScraperTabs() {
+  const slots = state.scraperTabIds.map((_, slot) => slot);
+  await Promise.all(slots.map((slot) => cleanupScraperTab(slot)));
+  state.scraperTabIds = [];
+}
 
+async function hasOffscreenDocument() {
+  const documentUrl = chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH);
+  if (typeof chrome.runtime.getContexts === "function") {
+    const contexts = await chrome.runtime.getContexts({
+      contextTypes: ["OFFSCREEN_DOCUMENT"],
+      documentUrls: [documentUrl],
+    });
+    return contexts.length > 0;
+  }
+  const matchedClients = await self.clients.matchAll();
+  return matchedClients.some((client) => client.url === documentUrl);
+}
+
+async function ensureOffscreenDocument() {
+  if (await hasOffscreenDocument()) {
+    return;
+  }
+  // Several workers can ask for the document at once; only one createDocument call may be in flight.
+  if (!offscreenDocumentPromise) {
+    offscreenDocumentPromise = chrome.offscreen
+      .createDocument({
+        url: OFFSCREEN_DOCUMENT_PATH,
+        reasons: ["DOM_PARSER"],
+        justification: "Parse fetched Nobat.ir doctor profiles without opening tabs.",
+      })
+      .finally(() => {
+        offscreenDocumentPromise = null;
+      });
+  }
+  await offscreenDocumentPromise;
+}
+
+async function closeOffscreenDocument() {
+  try {
+    if (await hasOffscreenDocument()) {
+      await chrome.offscreen.closeDocument();
+    }
+  } catch (error) {
+    console.warn("Failed to close offscreen document", error);
+  }
+}
+
+async function fetchProfileHtml(url) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), PROFILE_FETCH_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(url, {
+      credentials: "include",
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      throw createError(errorCodeForHttpStatus(response.status), `Profile request failed with HTTP ${response.status}.`);
+    }
+    return await response.text();
+  } catch (error) {
+    if (error?.name === "AbortError") {
+      throw createError("TIMEOUT", "Timed out while fetching the profile page.");
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+async function parseProfileHtml(html, url) {
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({
+    target: "offscreen",
+    type: "PARSE_DOCTOR_PROFILE",
+    html,
+    url,
+    selectorProfile: await getRunSelectorProfile(),
+    loadAllReviews: exportsReviews(state.exportFormats),
+  });
+
+  if (response?.error) {
+    throw createError(classifyReportedError(response.error), response.error);
+  }
+  if (!response || !response.data) {
+    throw new Error("No data was returned from the profile parser.");
+  }
+  return response;
+}
+
+async function scrapeDoctorProfileViaFetch(url) {
+  const targetUrl = normaliseDoctorProfileUrl(url);
+  if (!targetUrl) {
+    throw createError("INVALID_URL", "Invalid doctor profile URL provided.");
+  }
+
+  let html;
+  try {
+    html = await fetchProfileHtml(targetUrl);
+  } catch (error) {
+    if (FINAL_FETCH_ERROR_CODES.includes(classifyError(error))) {
+      throw error;
+    }
+    console.info(`Fetching ${url} failed (${error.message}); falling back to a scraper tab.`);
+    return null;
+  }
+  const { data, needsTab } = await parseProfileHtml(html, targetUrl);
+  return needsTab ? null : ensureExtractedData(normaliseDoctorData(data, url));
+}
+
+// A profile page that yields none of the core fields is reported as an error instead of an empty row.
+function ensureExtractedData(data) {
+  if (!data.name && !data.code && !data.phones.length && !data.address.length) {
+    throw createError("EMPTY_EXTRACTION", "No doctor details could be extracted from the profile page.");
+  }
+  return data;
+}
+
+async function scrapeDoctorProfile(url, slot) {
+  if (state.scrapeMode === "fetch") {
+    const data = await scrapeDoctorProfileViaFetch(url);
+    if (data) {
+      return data;
+    }
+    // The fetch failed, or the static HTML lacks data that only appears after scripts run (e.g. revealed phones).
+    console.info(`Falling back to a scraper tab for ${url}.`);
+  }
+
+  return scrapeDoctorProfileInTab(url, slot);
+}
+
+async function scrapeDoctorProfileInTab(url, slot) {
+  const tabId = await ensureScraperTab(url, slot);
+
+  const message = { type: "SCRAPE_DOCTOR_DETAILS", selectorProfile: await getRunSelectorProfile() };
   let response;
   try {
-    response = await sendMessageToTab(tabId, { type: "SCRAPE_DOCTOR_DETAILS" });
+    response = await sendMessageToTab(tabId, message);
   } catch (error) {
     if (/Receiving end does not exist/i.test(error.message)) {
       await injectContentScript(tabId);
-      response = await sendMessageToTab(tabId, { type: "SCRAPE_DOCTOR_DETAILS" });
+      response = await sendMessageToTab(tabId, message);
     } else {
       throw error;
     }
   }
 
   if (response?.error) {
-    throw new Error(response.error);
+    throw createError(classifyReportedError(response.error, response.httpStatus), response.error);
   }
 
   if (!response || !response.data) {
-    throw new Error("No data was returned from the doctor profile page.");
+    throw createError("EMPTY_EXTRACTION", "No data was returned from the doctor profile page.");
   }
 
-  return normaliseDoctorData(response.data, url);
+  return ensureExtractedData(normaliseDoctorData(response.data, url));
+}
+
+// The delay spaces requests across all scraper tabs: each request reserves the next start time, so adding tabs
+// overlaps page loads without raising the request rate.
+async function waitForRequestSlot() {
+  const now = Date.now();
+  const startAt = Math.max(now, state.nextRequestAt);
+  state.nextRequestAt = startAt + (state.throttle ? state.throttle.nextDelay() : state.delayMs);
+  if (startAt > now) {
+    await delay(startAt - now);
+  }
 }
 
-async function scrapeDoctorProfileWithRetries(url) {
+async function scrapeDoctorProfileWithRetries(url, slot) {
   const attempts = Math.max(0, state.maxRetries) + 1;
 
+  function clearRetrying() {
+    if (state.retrying?.url === url) {
+      state.retrying = null;
+    }
+  }
+
   for (let attempt = 1; attempt <= attempts; attempt += 1) {
     try {
-      state.retrying = attempt > 1 ? { attempt, total: attempts, url } : null;
-      if (state.retrying) {
+      if (attempt > 1) {
+        state.retrying = { attempt, total: attempts, url };
         await updateStatus({
           retrying: { ...state.retrying },
           message: `Retrying current profile (${attempt} / ${attempts})...`,
         });
       }
-      const data = await scrapeDoctorProfile(url);
-      state.retrying = null;
+      await waitForRequestSlot();
+      const startedAt = Date.now();
+      const data = await scrapeDoctorProfile(url, slot);
+      state.throttle?.recordSuccess(Date.now() - startedAt);
+      clearRetrying();
       return data;
     } catch (error) {
-      if (attempt >= attempts) {
-        state.retrying = null;
+      const code = classifyError(error);
+      const transient = isTransientError(code);
+      if (transient) {
+        state.throttle?.recordFailure();
+      }
+      if (attempt >= attempts || !transient) {
+        clearRetrying();
+        error.code = code;
         throw error;
       }
-      console.warn(`Attempt ${attempt} failed for ${url}. Retrying...`, error);
-      await delay(Math.max(state.delayMs, 1000));
+      console.warn(`Attempt ${attempt} failed for ${url} (${code}). Retrying...`, error);
+      await delay(state.throttle ? state.throttle.retryDelay(attempt) : Math.max(state.delayMs, 1000));
     }
   }
 
@@ -869,12 +1374,18 @@ async function scrapeDoctorProfileWithRetries(url) {
 
 async function finaliseScraping({ partial = false } = {}) {
   const total = state.queue.length;
-  const processed = Math.min(state.currentIndex, total);
+  const processed = Math.min(state.completed.size, total);
   const pending = Math.max(total - processed, 0);
+  const scrapedResults = state.results.filter(Boolean);
+  // Formats and comparison settings were captured above; the final status should show the user's own settings.
+  const { exportFormats, changesOnly } = state;
+  restoreConfigAfterResume();
 
-  await cleanupScraperTab();
+  await cleanupScraperTabs();
+  await closeOffscreenDocument();
 
-  if (!state.results.length) {
+  if (!scrapedResults.length) {
+    await clearRunCheckpoint();
     await updateStatus({
       message: partial
         ? "Scraping stopped before any data was collected."
@@ -888,37 +1399,48 @@ async function finaliseScraping({ partial = false } = {}) {
     return;
   }
 
-  const timestamp = new Date().toISOString().replace(/[:T]/g, "-").split(".")[0];
-  const prefix = partial ? "nobat-doctors-partial" : "nobat-doctors";
-  const filename = `${prefix}-${timestamp}.csv`;
-
-  const rows = state.results.map((item) => ({
-    url: item.url,
-    name: item.name,
-    specialty: item.specialty,
-    code: item.code,
-    city: item.city,
-    address: item.address,
-    phones: item.phones,
-    offices: item.offices ?? [],
-    error: item.error ?? null,
-  }));
+  // A retry merges into the stored run, so the run keeps its own completeness and comparison baseline.
+  const { retryRun } = state;
+  const runPartial = retryRun ? retryRun.partial : partial;
+  const { results, delta } = await compareWithPreviousListRun(scrapedResults, runPartial, retryRun?.finishedAt);
+  state.lastDiagnostics = getRunDiagnostics();
+  const historyId = await saveRunToHistory({
+    partial: runPartial,
+    results,
+    total,
+    processed,
+    delta,
+    diagnostics: state.lastDiagnostics?.diagnostics ?? null,
+    retryRun,
+  });
+  const basename = retryRun
+    ? `${buildExportBasename(runPartial)}-run-${retryRun.id}-retried`
+    : buildExportBasename(partial);
+  const { failures, notes } = await exportResults(basename, results, exportFormats, {
+    changesOnly,
+  });
 
-  try {
-    await downloadCsv(filename, rows);
+  if (!failures.length) {
+    // Keep the checkpoint when a download fails so the run can be resumed and re-exported.
+    await clearRunCheckpoint();
+    const summary = retryRun
+      ? formatRetrySummary(retryRun, results, partial)
+      : partial
+        ? "Scraping stopped early. Partial export downloaded."
+        : "Scraping completed.";
     await updateStatus({
-      message: partial
-        ? "Scraping stopped early. Partial CSV downloaded."
-        : "Scraping completed.",
+      message: [summary, formatDeltaSummary(delta), ...notes].filter(Boolean).join(" "),
       isScraping: false,
       total,
       processed,
       pending,
     });
-  } catch (error) {
-    recordError("download", error.message);
+  } else {
+    failures.forEach((failure) => recordError(`download:${failure.format}`, failure.message));
+    const failedLabels = failures.map((failure) => failure.label).join(", ");
+    const historyNote = historyId ? " (the run is kept in Run history)" : "";
     await updateStatus({
-      message: `Failed to save CSV: ${error.message}`,
+      message: `Failed to save ${failedLabels}: ${failures[0].message}${historyNote}`,
       isScraping: false,
       total,
       processed,
@@ -929,6 +1451,106 @@ async function finaliseScraping({ partial = false } = {}) {
   resetState();
 }
 
+async function compareWithPreviousListRun(results, partial, before = null) {
+  let previousRun = null;
+  try {
+    previousRun = await getLatestCompleteRunForList(state.listInitialUrl, { before });
+  } catch (error) {
+    console.warn("Failed to load the previous run for comparison", error);
+  }
+
+  const comparison = compareWithPreviousRun(results, previousRun?.results ?? [], {
+    normaliseUrl: normaliseDoctorProfileUrl,
+    detectRemoved: !partial,
+  });
+
+  return {
+    results: [...comparison.results, ...comparison.removed],
+    delta: { previousRunId: previousRun?.id ?? null, counts: comparison.counts },
+  };
+}
+
+function formatRetrySummary(retryRun, results, partial) {
+  const stillFailed = results.filter((result) => result.error && result.change !== "removed").length;
+  const recovered = Math.max(retryRun.failed - stillFailed, 0);
+  const prefix = partial ? "Retry stopped early." : "Retry completed.";
+  return `${prefix} Recovered ${recovered} of ${retryRun.failed} failed profiles; merged export downloaded.`;
+}
+
+function formatDeltaSummary(delta) {
+  if (!delta?.previousRunId) {
+    return "";
+  }
+  const { counts } = delta;
+  return `Changes since previous run: ${counts.new} new, ${counts.changed} changed, ${counts.removed} removed.`;
+}
+
+function toExportRows(results) {
+  return results.map((item) => ({
+    url: item.url,
+    name: item.name,
+    specialty: item.specialty,
+    code: item.code,
+    city: item.city,
+    address: item.address,
+    phones: item.phones,
+    phoneTypes: (item.phones ?? []).map(getPhoneLineType),
+    offices: item.offices ?? [],
+    rating: item.rating ?? null,
+    reviewCount: item.reviewCount ?? null,
+    satisfaction: item.satisfaction ?? null,
+    reviews: item.reviews ?? [],
+    error: item.error ?? null,
+    errorCode: item.errorCode ?? (item.error ? "UNKNOWN" : ""),
+    change: item.change ?? "",
+    changedFields: item.changedFields ?? [],
+    ...Object.fromEntries(SOURCE_FIELDS.map((field) => [`${field}Source`, item.sources?.[field] ?? []])),
+  }));
+}
+
+function buildExportBasename(partial, date = new Date()) {
+  const timestamp = date.toISOString().replace(/[:T]/g, "-").split(".")[0];
+  const prefix = partial ? "nobat-doctors-partial" : "nobat-doctors";
+  return `${prefix}-${timestamp}`;
+}
+
+async function exportResults(basename, results, formats, { changesOnly = false } = {}) {
+  const exportOptions = { schema: await loadExportSchema(), csvDialect: await loadCsvDialect() };
+  const rows = toExportRows(results);
+  return exportRows(basename, changesOnly ? filterChangedRows(rows) : rows, formats, exportOptions);
+}
+
+async function saveRunToHistory({ partial, results, total, processed, delta, diagnostics = null, retryRun = null }) {
+  const scraped = results.filter((result) => result.change !== "removed");
+  const failed = scraped.filter((result) => result.error).length;
+  const run = {
+    listUrl: state.listInitialUrl,
+    startedAt: retryRun ? retryRun.startedAt : state.startedAt,
+    finishedAt: retryRun ? retryRun.finishedAt : new Date().toISOString(),
+    partial,
+    config: getConfigSnapshot(),
+    counts: {
+      total: retryRun ? retryRun.total : total,
+      processed: retryRun ? retryRun.processed : processed,
+      succeeded: scraped.length - failed,
+      failed,
+    },
+    delta,
+    diagnostics,
+  };
+  if (retryRun) {
+    run.retriedAt = new Date().toISOString();
+  }
+
+  try {
+    return retryRun ? await updateRun(retryRun.id, run, results) : await saveRun(run, results);
+  } catch (error) {
+    console.error("Failed to store run history", error);
+    recordError("history", `Failed to store run history: ${error.message}`);
+    return null;
+  }
+}
+
 function resetState() {
   state.isScraping = false;
   state.queue = [];
@@ -938,81 +1560,145 @@ function resetState() {
   state.listWindowId = null;
   state.listTabIndex = null;
   state.listInitialUrl = null;
-  state.scraperTabId = null;
+  state.listCollectorTabId = null;
+  state.scraperTabIds = [];
+  state.completed = new Set();
   state.errors = [];
   state.lastDoctor = null;
   state.retrying = null;
   state.stopRequested = false;
+  releasePause();
   state.visited = new Set();
+  state.startedAt = null;
+  state.throttle = null;
+  state.nextRequestAt = 0;
+  state.retryRun = null;
+  state.selectorProfile = null;
+  state.diagnosticsBaseline = null;
+  restoreConfigAfterResume();
 }
 
-async function processQueue() {
-  while (state.isScraping && state.currentIndex < state.queue.length) {
-    if (state.stopRequested) {
-      break;
-    }
+function restoreConfigAfterResume() {
+  if (state.configBeforeResume) {
+    Object.assign(state, state.configBeforeResume);
+    state.configBeforeResume = null;
+  }
+}
 
-    const url = state.queue[state.currentIndex];
-    if (!url) {
-      state.currentIndex += 1;
-      continue;
+function takeNextQueueIndex() {
+  while (state.currentIndex < state.queue.length) {
+    const index = state.currentIndex;
+    state.currentIndex += 1;
+    if (!state.completed.has(index)) {
+      return index;
     }
+  }
+  return -1;
+}
 
-    if (state.visited.has(url)) {
-      state.currentIndex += 1;
-      await updateStatus({
-        message: `Skipped duplicate link (${state.currentIndex} / ${state.queue.length}).`,
-      });
-      continue;
-    }
+async function processQueueItem(index, slot) {
+  const url = state.queue[index];
 
-    state.visited.add(url);
+  if (!url || state.visited.has(url)) {
+    state.completed.add(index);
+    await saveRunCheckpoint();
+    await updateStatus({
+      message: `Skipped duplicate link (${state.completed.size} / ${state.queue.length}).`,
+    });
+    return;
+  }
 
-    try {
-      const data = await scrapeDoctorProfileWithRetries(url);
-      clearError(url);
-      state.results.push({ ...data, error: null });
-      state.lastDoctor = {
-        name: data.name || data.url || url,
-        url: data.url || url,
-      };
-    } catch (error) {
-      console.error("Failed to scrape doctor page", url, error);
-      const message = error?.message || "Unknown error";
-      recordError(url, message);
-      const fallbackData = normaliseDoctorData(
-        {
-          name: "",
-          specialty: "",
-          code: "",
-          city: "",
-          addresses: [],
-          phones: [],
-          offices: [],
-        },
-        url
-      );
-      state.results.push({ ...fallbackData, error: message });
-      state.lastDoctor = {
-        name: `${fallbackData.name || fallbackData.url || url} (failed)`,
-        url: fallbackData.url || url,
-      };
-    }
+  state.visited.add(url);
 
-    state.currentIndex += 1;
+  try {
+    const data = await scrapeDoctorProfileWithRetries(url, slot);
+    clearError(url);
+    state.results[index] = { ...data, error: null, errorCode: null };
+    state.lastDoctor = {
+      name: data.name || data.url || url,
+      url: data.url || url,
+    };
+  } catch (error) {
+    console.error("Failed to scrape doctor page", url, error);
+    const message = error?.message || "Unknown error";
+    const errorCode = classifyError(error);
+    recordError(url, message, { code: errorCode });
+    const fallbackData = normaliseDoctorData(
+      {
+        name: "",
+        specialty: "",
+        code: "",
+        city: "",
+        addresses: [],
+        phones: [],
+        offices: [],
+      },
+      url
+    );
+    state.results[index] = { ...fallbackData, error: message, errorCode };
+    state.lastDoctor = {
+      name: `${fallbackData.name || fallbackData.url || url} (failed)`,
+      url: fallbackData.url || url,
+    };
+  }
 
-    await updateStatus({
-      message: `Processed ${Math.min(state.currentIndex, state.queue.length)} of ${state.queue.length}`,
-    });
+  state.completed.add(index);
+  await saveRunCheckpoint({ resultIndex: index });
+
+  await updateStatus({
+    message: `Processed ${Math.min(state.completed.size, state.queue.length)} of ${state.queue.length}`,
+  });
+}
 
-    if (state.stopRequested || state.currentIndex >= state.queue.length) {
+function releasePause() {
+  const gate = state.pauseGate;
+  state.isPaused = false;
+  state.pauseGate = null;
+  if (gate) {
+    clearInterval(gate.keepAlive);
+    gate.resolve();
+  }
+}
+
+// Workers park here between profiles while the run is paused; tabs, queue and results stay as they are.
+async function waitWhilePaused() {
+  const gate = state.pauseGate;
+  if (!gate) {
+    return;
+  }
+  await saveRunCheckpoint();
+  await updateStatus({
+    message: `Paused at ${Math.min(state.completed.size, state.queue.length)} of ${state.queue.length}.`,
+  });
+  await gate.promise;
+}
+
+async function runQueueWorker(slot) {
+  while (state.isScraping && !state.stopRequested) {
+    await waitWhilePaused();
+    if (!state.isScraping || state.stopRequested) {
       break;
     }
 
-    if (state.delayMs > 0) {
-      await delay(state.delayMs);
+    const index = takeNextQueueIndex();
+    if (index < 0) {
+      break;
     }
+
+    await processQueueItem(index, slot);
   }
+}
+
+async function processQueue() {
+  state.throttle = createAdaptiveThrottle(state.delayMs);
+  state.nextRequestAt = 0;
+  state.diagnosticsBaseline = await loadDiagnosticsBaseline();
+  const remaining = state.queue.length - state.completed.size;
+  const workerCount = Math.max(1, Math.min(state.concurrency, remaining));
+
+  await Promise.all(
+    Array.from({ length: workerCount }, (_, slot) => runQueueWorker(slot))
+  );
 
   const partial = state.stopRequested;
   state.isScraping = false;
@@ -1023,7 +1709,7 @@ async function processQueue() {
   } catch (error) {
     console.error("Scraping finalisation failed", error);
     recordError("finalise", error.message);
-    await cleanupScraperTab();
+    await cleanupScraperTabs();
     await updateStatus({
       message: `Scraping finalisation failed: ${error.message}`,
       isScraping: false,
@@ -1053,11 +1739,18 @@ async function handleStartScraping(options = {}) {
   const initialListUrl = normaliseListPageUrl(activeTab.url || null, activeTab.url || null);
   state.listInitialUrl = initialListUrl || activeTab.url || null;
 
-  await cleanupScraperTab();
+  await cleanupScraperTabs();
 
   await applyConfig(options, { persist: true });
+  state.selectorProfile = await loadSelectorProfile();
 
-  const links = await getDoctorLinksFromTab(state.listTabId);
+  let links;
+  try {
+    links = await collectDoctorLinks(state.listInitialUrl);
+  } catch (error) {
+    resetState();
+    throw error;
+  }
   if (!links.length) {
     resetState();
     await updateStatus({
@@ -1072,14 +1765,17 @@ async function handleStartScraping(options = {}) {
 
   state.queue = links.slice();
   state.results = [];
+  state.completed = new Set();
   state.currentIndex = 0;
   state.errors = [];
   state.lastDoctor = null;
   state.retrying = null;
   state.stopRequested = false;
   state.visited = new Set();
+  state.startedAt = new Date().toISOString();
   state.isScraping = true;
 
+  await saveRunCheckpoint({ queue: true });
   await updateStatus({
     message: `Found ${state.queue.length} doctor profiles. Starting...`,
     total: state.queue.length,
@@ -1087,48 +1783,264 @@ async function handleStartScraping(options = {}) {
     pending: state.queue.length,
   });
 
+  runQueue();
+
+  return { status: "started", total: state.queue.length };
+}
+
+function runQueue() {
   processQueue().catch(async (error) => {
     console.error("Scraping failed", error);
     recordError("global", error.message);
     state.isScraping = false;
     state.stopRequested = false;
-    await cleanupScraperTab();
+    await cleanupScraperTabs();
+    restoreConfigAfterResume();
     await updateStatus({
       message: `Scraping failed: ${error.message}`,
       isScraping: false,
     });
     resetState();
   });
+}
 
-  return { status: "started", total: state.queue.length };
+async function handleResumeScraping() {
+  await configReady;
+
+  if (state.isScraping) {
+    return { status: "already-running" };
+  }
+
+  const checkpoint = await loadRunCheckpoint();
+  if (!summariseCheckpoint(checkpoint)) {
+    await clearRunCheckpoint();
+    await updateStatus({ message: "No previous run to resume." });
+    return { status: "no-checkpoint" };
+  }
+
+  await cleanupScraperTabs();
+  resetState();
+
+  // Open scraper tabs next to whatever the user is looking at now; the original window may be gone.
+  try {
+    const activeTab = await queryActiveTab();
+    state.listWindowId = activeTab?.windowId ?? null;
+    state.listTabIndex = typeof activeTab?.index === "number" ? activeTab.index + 1 : null;
+  } catch (error) {
+    console.warn("Failed to read active tab while resuming", error);
+  }
+
+  let data;
+  try {
+    data = await loadRunCheckpointData(checkpoint);
+  } catch (error) {
+    console.warn("Failed to read run checkpoint", error);
+    data = { queue: [] };
+  }
+  if (!data.queue.length) {
+    await clearRunCheckpoint();
+    await updateStatus({ message: "No previous run to resume." });
+    return { status: "no-checkpoint" };
+  }
+
+  // The resumed run keeps its own settings; the user's saved settings come back once it ends.
+  state.configBeforeResume = getConfigSnapshot();
+  await applyConfig({
+    delayMs: checkpoint.delayMs,
+    maxRetries: checkpoint.maxRetries,
+    concurrency: checkpoint.concurrency,
+    scrapeMode: checkpoint.scrapeMode,
+    exportFormats: checkpoint.exportFormats,
+    changesOnly: checkpoint.changesOnly,
+  });
+
+  state.queue = data.queue.slice();
+  state.results = data.results.slice();
+  state.completed = new Set(
+    (Array.isArray(checkpoint.completed) ? checkpoint.completed : []).filter(
+      (index) => Number.isInteger(index) && index >= 0 && index < state.queue.length
+    )
+  );
+  state.currentIndex = 0;
+  state.errors = Array.isArray(checkpoint.errors) ? checkpoint.errors.map((error) => ({ ...error })) : [];
+  state.lastDoctor = checkpoint.lastDoctor ? { ...checkpoint.lastDoctor } : null;
+  state.listInitialUrl = checkpoint.listInitialUrl || null;
+  state.startedAt = checkpoint.startedAt || new Date().toISOString();
+  state.retryRun = checkpoint.retryRun ? { ...checkpoint.retryRun } : null;
+  state.visited = new Set(Array.from(state.completed, (index) => state.queue[index]));
+  state.isScraping = true;
+
+  if (Array.isArray(checkpoint.queue)) {
+    // Move a checkpoint from an older version to the split layout before it is updated profile by profile.
+    await saveRunCheckpoint({ queue: true });
+  }
+  await updateStatus({
+    message: `Resuming previous run at ${state.completed.size} of ${state.queue.length}...`,
+  });
+
+  runQueue();
+
+  return { status: "resumed", total: state.queue.length, processed: state.completed.size };
+}
+
+// Re-queues only the failed rows of a stored run (the latest one by default); every other row is kept as is.
+async function handleRetryFailed(options = {}) {
+  await configReady;
+
+  if (state.isScraping) {
+    return { status: "already-running" };
+  }
+
+  const latest = options.id === undefined ? await getLatestRun() : null;
+  const runId = options.id ?? latest?.id;
+  // IndexedDB rejects an undefined key, so an empty history is answered here.
+  const run = runId === undefined || runId === null ? null : await getRun(runId);
+  if (!run) {
+    return { status: "no-run" };
+  }
+
+  const rows = run.results.filter((result) => result && result.change !== "removed");
+  const failed = rows.filter((result) => result.error).length;
+  if (!failed) {
+    return { status: "no-failures" };
+  }
+
+  await cleanupScraperTabs();
+  resetState();
+
+  try {
+    const activeTab = await queryActiveTab();
+    state.listWindowId = activeTab?.windowId ?? null;
+    state.listTabIndex = typeof activeTab?.index === "number" ? activeTab.index + 1 : null;
+  } catch (error) {
+    console.warn("Failed to read active tab before retrying", error);
+  }
+
+  await applyConfig(options, { persist: true });
+
+  state.queue = rows.map((result) => result.url);
+  state.results = rows.map((result) => ({ ...result }));
+  state.completed = new Set();
+  rows.forEach((result, index) => {
+    if (!result.error) {
+      state.completed.add(index);
+    }
+  });
+  state.currentIndex = 0;
+  state.listInitialUrl = run.listUrl || null;
+  state.startedAt = new Date().toISOString();
+  state.visited = new Set(Array.from(state.completed, (index) => state.queue[index]));
+  state.retryRun = {
+    id: run.id,
+    partial: Boolean(run.partial),
+    startedAt: run.startedAt || null,
+    finishedAt: run.finishedAt || null,
+    total: run.counts?.total ?? rows.length,
+    processed: run.counts?.processed ?? rows.length,
+    failed,
+  };
+  state.isScraping = true;
+
+  await saveRunCheckpoint({ queue: true });
+  await updateStatus({
+    message: `Retrying ${failed} failed profiles from the last run...`,
+  });
+
+  runQueue();
+
+  return { status: "started", total: failed };
 }
 
 async function handleStopScraping() {
   await configReady;
 
   if (!state.isScraping) {
-    await cleanupScraperTab();
+    await cleanupScraperTabs();
     resetState();
     await updateStatus({ message: "Idle.", isScraping: false, total: 0, processed: 0, pending: 0 });
     return { status: "idle" };
   }
 
   state.stopRequested = true;
+  releasePause();
   await updateStatus({
     message: "Stop requested. Waiting for the current profile to finish...",
   });
   return { status: "stopping" };
 }
 
+async function handlePauseScraping() {
+  await configReady;
+
+  if (!state.isScraping || state.stopRequested) {
+    return { status: "idle" };
+  }
+  if (state.isPaused) {
+    return { status: "paused" };
+  }
+
+  let resolve;
+  const promise = new Promise((resolvePromise) => {
+    resolve = resolvePromise;
+  });
+  // A paused run only lives in memory, so the worker must stay up for as long as the pause lasts.
+  const keepAlive = setInterval(() => {
+    chrome.runtime.getPlatformInfo().catch(() => {});
+  }, PAUSE_KEEPALIVE_INTERVAL_MS);
+  state.pauseGate = { promise, resolve, keepAlive };
+  state.isPaused = true;
+  await updateStatus({
+    message: "Pause requested. Waiting for the current profile to finish...",
+  });
+  return { status: "pausing" };
+}
+
+async function handleContinueScraping() {
+  await configReady;
+
+  if (!state.isScraping || !state.isPaused) {
+    return { status: "not-paused" };
+  }
+
+  releasePause();
+  await updateStatus({
+    message: `Continuing at ${Math.min(state.completed.size, state.queue.length)} of ${state.queue.length}...`,
+  });
+  return { status: "continued" };
+}
+
+async function getRetryableRun() {
+  if (state.isScraping || state.checkpoint) {
+    return null;
+  }
+  try {
+    const run = await getLatestRun();
+    const failed = run?.counts?.failed ?? 0;
+    return failed > 0 ? { id: run.id, failed, listUrl: run.listUrl || null, finishedAt: run.finishedAt } : null;
+  } catch (error) {
+    console.warn("Failed to read the latest run", error);
+    return null;
+  }
+}
+
 async function handleGetStatus() {
   await configReady;
   const stored = await chrome.storage.local.get(STATUS_STORAGE_KEY);
   const status = stored?.[STATUS_STORAGE_KEY];
   if (status) {
+    // The stored status outlives the service worker; a run (or pause) it lost is offered for resuming instead.
     return {
       ...status,
+      isScraping: state.isScraping,
+      isPaused: state.isScraping && state.isPaused,
       delayMs: status.delayMs ?? state.delayMs,
       maxRetries: status.maxRetries ?? state.maxRetries,
+      concurrency: status.concurrency ?? state.concurrency,
+      scrapeMode: status.scrapeMode ?? state.scrapeMode,
+      exportFormats: status.exportFormats ?? state.exportFormats.slice(),
+      changesOnly: status.changesOnly ?? state.changesOnly,
+      resumable: !state.isScraping && state.checkpoint ? { ...state.checkpoint } : null,
+      retryable: await getRetryableRun(),
     };
   }
   return {
@@ -1138,17 +2050,46 @@ async function handleGetStatus() {
     pending: 0,
     errors: [],
     message: "Idle.",
-    delayMs: state.delayMs,
-    maxRetries: state.maxRetries,
+    ...getConfigSnapshot(),
     lastDoctor: null,
     retrying: null,
+    resumable: state.checkpoint ? { ...state.checkpoint } : null,
+    retryable: await getRetryableRun(),
   };
 }
 
+async function handleListRuns() {
+  const runs = await listRuns();
+  return { runs, formats: EXPORT_FORMAT_OPTIONS };
+}
+
+async function handleExportRun(payload = {}) {
+  const run = await getRun(payload.id);
+  if (!run) {
+    throw new Error("That run is no longer in the history.");
+  }
+  const formats = ensureExportFormats(payload.formats, state.exportFormats);
+  const basename = `${buildExportBasename(run.partial, new Date(run.finishedAt || Date.now()))}-run-${run.id}`;
+  const { failures, notes } = await exportResults(basename, run.results, formats, {
+    changesOnly: payload.changesOnly === true,
+  });
+  if (failures.length) {
+    throw new Error(failures.map((failure) => `${failure.label}: ${failure.message}`).join("; "));
+  }
+  return { formats, notes };
+}
+
+async function handleDeleteRun(payload = {}) {
+  await deleteRun(payload.id);
+  return { id: payload.id };
+}
+
 async function handleUpdateConfig(config) {
+  // Settings saved during a resumed run are what the user wants afterwards too.
+  state.configBeforeResume = null;
   await applyConfig(config ?? {}, { persist: true });
   await updateStatus({});
-  return { delayMs: state.delayMs, maxRetries: state.maxRetries };
+  return getConfigSnapshot();
 }
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -1163,6 +2104,34 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (message.action === "resumeScraping") {
+    handleResumeScraping()
+      .then((result) => sendResponse(result))
+      .catch((error) => sendResponse({ status: "error", message: error.message }));
+    return true;
+  }
+
+  if (message.action === "retryFailed") {
+    handleRetryFailed(message.payload)
+      .then((result) => sendResponse(result))
+      .catch((error) => sendResponse({ status: "error", message: error.message }));
+    return true;
+  }
+
+  if (message.action === "pauseScraping") {
+    handlePauseScraping()
+      .then((result) => sendResponse(result))
+      .catch((error) => sendResponse({ status: "error", message: error.message }));
+    return true;
+  }
+
+  if (message.action === "continueScraping") {
+    handleContinueScraping()
+      .then((result) => sendResponse(result))
+      .catch((error) => sendResponse({ status: "error", message: error.message }));
+    return true;
+  }
+
   if (message.action === "stopScraping") {
     handleStopScraping()
       .then((result) => sendResponse(result))
@@ -1177,6 +2146,27 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (message.action === "listRuns") {
+    handleListRuns()
+      .then((data) => sendResponse({ status: "ok", data }))
+      .catch((error) => sendResponse({ status: "error", message: error.message }));
+    return true;
+  }
+
+  if (message.action === "exportRun") {
+    handleExportRun(message.payload)
+      .then((data) => sendResponse({ status: "ok", data }))
+      .catch((error) => sendResponse({ status: "error", message: error.message }));
+    return true;
+  }
+
+  if (message.action === "deleteRun") {
+    handleDeleteRun(message.payload)
+      .then((data) => sendResponse({ status: "ok", data }))
+      .catch((error) => sendResponse({ status: "error", message: error.message }));
+    return true;
+  }
+
   if (message.action === "updateConfig") {
     handleUpdateConfig(message.payload)
       .then((config) => sendResponse({ status: "ok", data: config }))
@@ -1188,10 +2178,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 chrome.runtime.onInstalled.addListener(() => {
   resetState();
   chrome.storage.local.set({
-    [CONFIG_STORAGE_KEY]: {
-      delayMs: state.delayMs,
-      maxRetries: state.maxRetries,
-    },
+    [CONFIG_STORAGE_KEY]: getConfigSnapshot(),
     [STATUS_STORAGE_KEY]: {
       isScraping: false,
       total: 0,
@@ -1199,8 +2186,7 @@ chrome.runtime.onInstalled.addListener(() => {
       pending: 0,
       errors: [],
       message: "Idle.",
-      delayMs: state.delayMs,
-      maxRetries: state.maxRetries,
+      ...getConfigSnapshot(),
       lastDoctor: null,
       retrying: null,
     },
@@ -1208,8 +2194,9 @@ chrome.runtime.onInstalled.addListener(() => {
 });
 
 chrome.tabs.onRemoved.addListener((tabId) => {
-  if (tabId === state.scraperTabId) {
-    state.scraperTabId = null;
+  forgetScraperTab(tabId);
+  if (tabId === state.listCollectorTabId) {
+    state.listCollectorTabId = null;
   }
   if (tabId === state.listTabId) {
     state.listTabId = null;
@@ -21,66 +21,52 @@ const DIGIT_MAP = {
   "٩": "9",
 };
 
-const LOAD_MORE_SELECTORS = [
-  "button[data-role='load-more']",
-  "button.load-more",
-  "button.more-doctors",
-  ".load-more button",
-  "button[data-action='load-more']",
-  "button.show-more",
-  "a[data-role='load-more']",
-];
+// Selector groups come from the selector profile that the background sends along with every request.
+let activeSelectors = {};
 
-const DOCTOR_LINK_SELECTORS = [
-  "a.doctor-ui",
-  "a[data-role='doctor-card']",
-  "a.doctor-card",
-  ".doctor-ui a[href]",
-  "a[href*='/doctor/']",
-  "a[href*='/dr/']",
-  "a[href*='/profile/doctor']",
-];
+function isUsableSelector(selector) {
+  if (typeof selector !== "string" || !selector.trim()) {
+    return false;
+  }
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
 
-const DOCTOR_LINK_ATTRIBUTE_SELECTORS = [
-  "[data-profile-url]",
-  "[data-doctor-url]",
-  "[data-url]",
-  "[data-link]",
-];
+function useSelectorProfile(profile) {
+  const selectors = profile?.selectors;
+  activeSelectors = {};
+  if (!selectors || typeof selectors !== "object") {
+    return;
+  }
+  Object.entries(selectors).forEach(([key, list]) => {
+    if (Array.isArray(list)) {
+      activeSelectors[key] = list.filter(isUsableSelector);
+    }
+  });
+}
 
-const NEXT_PAGE_SELECTORS = [
-  "a[rel='next']",
-  "a.pagination-next",
-  ".pagination a.next",
-  ".pagination li.next a",
-  ".pagination li.active + li a",
-  "a[aria-label='Next']",
-  "a[aria-label='next']",
-  "a[aria-label='بعد']",
-  "a[aria-label='بعدی']",
-  "a[aria-label*='بعد']",
-  "a[aria-label*='next']",
-];
+function getSelectors(key) {
+  return activeSelectors[key] || [];
+}
 
-const PHONE_CONTAINER_SELECTORS = [
-  ".office-description",
-  ".office-contact",
-  "[data-role='tells-container']",
-  ".doctor-phone",
-  ".doctor-phones",
-  ".phone-number",
-  ".contact-phone",
-  ".contact-item",
-];
+function getSelectorGroup(key) {
+  return getSelectors(key).join(",");
+}
 
-const ADDRESS_CONTAINER_SELECTORS = [
-  ".office-address",
-  ".doctor-address",
-  "[data-role='address']",
-  "[itemprop='streetAddress']",
-  ".address",
-  ".clinic-address",
-];
+function queryAllSelectorGroup(key, root = document) {
+  const group = getSelectorGroup(key);
+  return group ? Array.from(root.querySelectorAll(group)) : [];
+}
+
+// Source tag for an element found through a selector group, e.g. "dom:.office-address".
+function getSelectorSource(element, key) {
+  const selector = getSelectors(key).find((candidate) => element.matches?.(candidate));
+  return selector ? `dom:${selector}` : "dom";
+}
 
 function toAbsoluteUrl(url) {
   try {
@@ -108,23 +94,24 @@ function normaliseText(value) {
   return normaliseWhitespace(value);
 }
 
-function normalisePhoneText(value) {
-  const cleaned = normaliseWhitespace(value);
-  if (!cleaned) {
-    return "";
-  }
-  return cleaned.replace(/^(?:تلفن|شماره|call|phone)[:：\s-]*/i, "");
-}
+// phone-rules.js is loaded before this file by the manifest, offscreen.html and every executeScript injection.
+const { parseIranianPhones } = NobatPhoneRules;
 
-function normalisePhoneKey(value) {
-  return convertLocaleDigits(value).replace(/[^0-9+]/g, "");
+// tel: links and phone data attributes hold nothing but numbers, so short codes found there are kept.
+const TRUSTED_PHONE_SOURCE = { allowShortCodes: true };
+
+// The first number in a text, in E.164 where the line and (for local numbers) the city allow it.
+function normalisePhoneText(value, city = "") {
+  return parseIranianPhones(value, city)[0]?.number || "";
 }
 
+// `source` tags where a value came from; only the source that first produced a value is kept.
 function createCollector(transform = normaliseText, keyFn) {
   const seen = new Set();
   const values = [];
+  const sources = [];
   return {
-    add(value) {
+    add(value, source) {
       const transformed = transform ? transform(value) : value;
       if (!transformed) {
         return;
@@ -135,10 +122,16 @@ function createCollector(transform = normaliseText, keyFn) {
       }
       seen.add(key);
       values.push(transformed);
+      if (source && !sources.includes(source)) {
+        sources.push(source);
+      }
     },
     values() {
       return values.slice();
     },
+    sources() {
+      return sources.slice();
+    },
   };
 }
 
@@ -166,8 +159,8 @@ function isLoadMoreButtonUsable(button) {
   return isElementVisible(button);
 }
 
-function findLoadMoreButton() {
-  for (const selector of LOAD_MORE_SELECTORS) {
+function findLoadMoreButton(key = "loadMore") {
+  for (const selector of getSelectors(key)) {
     const candidates = Array.from(document.querySelectorAll(selector));
     for (const candidate of candidates) {
       if (isLoadMoreButtonUsable(candidate)) {
@@ -179,6 +172,9 @@ function findLoadMoreButton() {
 }
 
 function waitForElement(selector, timeout = 5000) {
+  if (!selector) {
+    return Promise.resolve(null);
+  }
   const existing = document.querySelector(selector);
   if (existing) {
     return Promise.resolve(existing);
@@ -212,13 +208,10 @@ function waitForElement(selector, timeout = 5000) {
 }
 
 function getDoctorCardCount() {
-  return document.querySelectorAll(
-    ["a.doctor-ui", "a[data-role='doctor-card']", "[data-profile-url]", "[data-doctor-url]"]
-      .join(",")
-  ).length;
+  return queryAllSelectorGroup("doctorCard").length;
 }
 
-function waitForDoctorCardCountIncrease(previousCount, timeout = 6000) {
+function waitForCountIncrease(getCount, previousCount, timeout = 6000) {
   return new Promise((resolve) => {
     let resolved = false;
 
@@ -232,7 +225,7 @@ function waitForDoctorCardCountIncrease(previousCount, timeout = 6000) {
     }
 
     function checkCount() {
-      const current = getDoctorCardCount();
+      const current = getCount();
       if (current > previousCount) {
         finish(current);
       }
@@ -241,7 +234,7 @@ function waitForDoctorCardCountIncrease(previousCount, timeout = 6000) {
     const observer = new MutationObserver(checkCount);
     observer.observe(document.body, { childList: true, subtree: true });
 
-    const timer = setTimeout(() => finish(getDoctorCardCount()), timeout);
+    const timer = setTimeout(() => finish(getCount()), timeout);
 
     function cleanup() {
       clearTimeout(timer);
@@ -252,12 +245,13 @@ function waitForDoctorCardCountIncrease(previousCount, timeout = 6000) {
   });
 }
 
-async function loadAdditionalDoctorCards(maxIterations = 12) {
+// Clicks the "load more" button of a selector group until it disappears or stops adding items.
+async function loadAdditionalItems(buttonKey, getCount, maxIterations = 12) {
   let iteration = 0;
-  let previousCount = getDoctorCardCount();
+  let previousCount = getCount();
 
   while (iteration < maxIterations) {
-    const button = findLoadMoreButton();
+    const button = findLoadMoreButton(buttonKey);
     if (!button) {
       break;
     }
@@ -266,7 +260,7 @@ async function loadAdditionalDoctorCards(maxIterations = 12) {
     button.click();
     button.dispatchEvent(new MouseEvent("click", { bubbles: true }));
 
-    const updatedCount = await waitForDoctorCardCountIncrease(previousCount, 7000);
+    const updatedCount = await waitForCountIncrease(getCount, previousCount, 7000);
     if (!updatedCount || updatedCount <= previousCount) {
       break;
     }
@@ -277,6 +271,10 @@ async function loadAdditionalDoctorCards(maxIterations = 12) {
   }
 }
 
+function loadAdditionalDoctorCards(maxIterations = 12) {
+  return loadAdditionalItems("loadMore", getDoctorCardCount, maxIterations);
+}
+
 function normaliseProfileLink(rawLink) {
   if (!rawLink) {
     return null;
@@ -300,7 +298,7 @@ function normaliseProfileLink(rawLink) {
 function collectDoctorLinksFromDom() {
   const links = new Set();
 
-  DOCTOR_LINK_SELECTORS.forEach((selector) => {
+  getSelectors("doctorLink").forEach((selector) => {
     const anchors = Array.from(document.querySelectorAll(selector));
     anchors.forEach((anchor) => {
       const href = anchor.getAttribute("href") || anchor.dataset?.href || anchor.dataset?.profileUrl;
@@ -311,7 +309,7 @@ function collectDoctorLinksFromDom() {
     });
   });
 
-  DOCTOR_LINK_ATTRIBUTE_SELECTORS.forEach((selector) => {
+  getSelectors("doctorLinkAttribute").forEach((selector) => {
     const elements = Array.from(document.querySelectorAll(selector));
     elements.forEach((element) => {
       const attributeNames = ["data-profile-url", "data-doctor-url", "data-url", "data-link"];
@@ -380,17 +378,13 @@ function normalisePaginationUrl(href) {
 
 function collectPaginationCandidates() {
   const candidates = new Set();
-  NEXT_PAGE_SELECTORS.forEach((selector) => {
+  getSelectors("nextPage").forEach((selector) => {
     document.querySelectorAll(selector).forEach((element) => {
       candidates.add(element);
     });
   });
 
-  const paginationContainers = Array.from(
-    document.querySelectorAll(
-      ".pagination, nav[aria-label*='page'], nav[aria-label*='صفحه'], nav[role='navigation']"
-    )
-  );
+  const paginationContainers = queryAllSelectorGroup("paginationContainer");
 
   paginationContainers.forEach((container) => {
     const active = container.querySelector("li.active, .active");
@@ -477,7 +471,7 @@ function findNextPageUrl() {
 }
 
 async function gatherDoctorLinks() {
-  await waitForElement("a.doctor-ui, [data-profile-url]");
+  await waitForElement(getSelectorGroup("listReady"));
   await loadAdditionalDoctorCards();
   const links = collectDoctorLinksFromDom();
   const nextPageUrl = findNextPageUrl();
@@ -489,9 +483,19 @@ function extractText(selector, root = document) {
   return element ? normaliseText(element.textContent) : "";
 }
 
-function extractStructuredEntries() {
+function extractFirstText(key, root = document) {
+  for (const selector of getSelectors(key)) {
+    const text = extractText(selector, root);
+    if (text) {
+      return { text, source: `dom:${selector}` };
+    }
+  }
+  return { text: "", source: "" };
+}
+
+function extractStructuredEntries(doc = document) {
   const entries = [];
-  const scripts = Array.from(document.querySelectorAll('script[type="application/ld+json"]'));
+  const scripts = Array.from(doc.querySelectorAll('script[type="application/ld+json"]'));
 
   scripts.forEach((script) => {
     const text = script.textContent?.trim();
@@ -514,49 +518,26 @@ function extractStructuredEntries() {
   return entries;
 }
 
-function extractDoctorName(structuredEntries) {
-  const heading = document.querySelector("h1.doctor-ui-name");
-  if (heading) {
-    const ellipsis = heading.querySelector(".text-ellipsis");
-    const text = ellipsis ? ellipsis.textContent : heading.textContent;
-    const normalised = normaliseText(text);
-    if (normalised) {
-      return normalised;
-    }
-  }
-
-  const fallback = document.querySelector("[itemprop='name']");
-  if (fallback) {
-    const normalised = normaliseText(fallback.textContent);
-    if (normalised) {
-      return normalised;
-    }
+function extractDoctorName(structuredEntries, doc = document) {
+  const match = extractFirstText("name", doc);
+  if (match.text) {
+    return { value: match.text, source: match.source };
   }
 
   for (const entry of structuredEntries) {
     const name = normaliseText(entry?.name);
     if (name) {
-      return name;
+      return { value: name, source: "json-ld" };
     }
   }
 
-  return "";
+  return { value: "", source: "" };
 }
 
-function extractDoctorSpecialty(structuredEntries) {
-  const selectors = [
-    "h2.doctor-ui-specialty",
-    ".doctor-ui-specialty",
-    ".doctor-specialty",
-    "[data-role='doctor-specialty']",
-    "[itemprop='medicalSpecialty']",
-  ];
-
-  for (const selector of selectors) {
-    const text = extractText(selector);
-    if (text) {
-      return text;
-    }
+function extractDoctorSpecialty(structuredEntries, doc = document) {
+  const match = extractFirstText("specialty", doc);
+  if (match.text) {
+    return { value: match.text, source: match.source };
   }
 
   for (const entry of structuredEntries) {
@@ -564,17 +545,17 @@ function extractDoctorSpecialty(structuredEntries) {
     if (Array.isArray(specialty)) {
       const normalised = specialty.map((value) => normaliseText(value)).filter(Boolean);
       if (normalised.length) {
-        return normalised.join("، ");
+        return { value: normalised.join("، "), source: "json-ld" };
       }
     } else if (specialty) {
       const normalised = normaliseText(specialty);
       if (normalised) {
-        return normalised;
+        return { value: normalised, source: "json-ld" };
       }
     }
   }
 
-  return "";
+  return { value: "", source: "" };
 }
 
 function extractCodeToken(text) {
@@ -604,76 +585,230 @@ function extractCodeToken(text) {
   return numericFallback;
 }
 
-function extractDoctorCode(structuredEntries) {
+function extractDoctorCode(structuredEntries, doc = document) {
   const candidates = [];
-  const primary = document.querySelector(".doctor-code span:last-child");
-  if (primary) {
-    candidates.push(primary.textContent);
-  }
-  const fallback = document.querySelector(".doctor-code");
-  if (fallback) {
-    candidates.push(fallback.textContent);
-  }
-  const meta = document.querySelector("[data-role='doctor-code']");
-  if (meta) {
-    candidates.push(meta.textContent);
-  }
+  getSelectors("code").forEach((selector) => {
+    const element = doc.querySelector(selector);
+    if (element) {
+      candidates.push({ text: element.textContent, source: `dom:${selector}` });
+    }
+  });
 
   structuredEntries.forEach((entry) => {
     if (entry?.identifier) {
-      candidates.push(entry.identifier);
+      candidates.push({ text: entry.identifier, source: "json-ld" });
     }
   });
 
   for (const candidate of candidates) {
-    const text = normaliseText(candidate);
+    const text = normaliseText(candidate.text);
     if (!text) {
       continue;
     }
     const parsed = extractCodeToken(text);
     if (parsed) {
-      return parsed;
+      return { value: parsed, source: candidate.source };
     }
   }
 
   for (const candidate of candidates) {
-    const text = normaliseText(candidate);
+    const text = normaliseText(candidate.text);
     if (text) {
-      return text;
+      return { value: text, source: candidate.source };
     }
   }
 
-  return "";
+  return { value: "", source: "" };
+}
+
+// Reads "۴٫۵", "4.5 از 5" or "۱,۲۳۴ نظر" as a number; returns null when no number is present.
+function parseLocaleNumber(value) {
+  const text = convertLocaleDigits(value)
+    .replace(/٫/g, ".")
+    .replace(/(\d)[٬,](?=\d{3}(?!\d))/g, "$1");
+  const match = text.match(/\d+(?:\.\d+)?/);
+  return match ? Number.parseFloat(match[0]) : null;
+}
+
+// Prefers a microdata `content` attribute over the visible text, which often carries labels or stars.
+function findFirstNumber(key, doc = document) {
+  for (const selector of getSelectors(key)) {
+    const element = doc.querySelector(selector);
+    if (!element) {
+      continue;
+    }
+    const value = parseLocaleNumber(element.getAttribute("content") ?? element.textContent);
+    if (value !== null) {
+      return { value, source: `dom:${selector}` };
+    }
+  }
+  return { value: null, source: "" };
+}
+
+function findAggregateRating(structuredEntries) {
+  for (const entry of structuredEntries) {
+    if (entry?.aggregateRating && typeof entry.aggregateRating === "object") {
+      return entry.aggregateRating;
+    }
+    if (entry?.["@type"] === "AggregateRating") {
+      return entry;
+    }
+  }
+  return null;
+}
+
+function extractDoctorRatings(structuredEntries, doc = document) {
+  const aggregate = findAggregateRating(structuredEntries);
+
+  function withStructuredFallback(match, structuredValue) {
+    if (match.value !== null) {
+      return match;
+    }
+    const value = parseLocaleNumber(structuredValue);
+    return value !== null ? { value, source: "json-ld" } : match;
+  }
+
+  const satisfaction = findFirstNumber("satisfaction", doc);
+  return {
+    rating: withStructuredFallback(findFirstNumber("rating", doc), aggregate?.ratingValue),
+    reviewCount: withStructuredFallback(
+      findFirstNumber("reviewCount", doc),
+      aggregate?.reviewCount ?? aggregate?.ratingCount
+    ),
+    satisfaction: satisfaction.value !== null && satisfaction.value <= 100 ? satisfaction : { value: null, source: "" },
+  };
+}
+
+function getReviewCount() {
+  return queryAllSelectorGroup("review").length;
+}
+
+function loadAdditionalReviews(maxIterations = 20) {
+  return loadAdditionalItems("reviewsLoadMore", getReviewCount, maxIterations);
+}
+
+function parseRecommendation(value) {
+  const text = normaliseText(value).toLowerCase();
+  if (!text) {
+    return null;
+  }
+  if (/^(?:false|0|no)$/.test(text) || /توصیه\s*نمی\s*کنم|not recommend/.test(text)) {
+    return false;
+  }
+  if (/^(?:true|1|yes)$/.test(text) || /توصیه|recommend/.test(text)) {
+    return true;
+  }
+  return null;
+}
+
+function findReviewRecommendation(root) {
+  for (const selector of getSelectors("reviewRecommended")) {
+    const element = root.querySelector(selector);
+    if (!element) {
+      continue;
+    }
+    const recommended = parseRecommendation(element.getAttribute("data-recommended") ?? element.textContent);
+    return recommended ?? true;
+  }
+  return null;
+}
+
+function extractReviewFromElement(element) {
+  const date = getSelectors("reviewDate")
+    .map((selector) => element.querySelector(selector))
+    .find(Boolean);
+  const score = findFirstNumber("reviewScore", element).value;
+  return {
+    text: extractFirstText("reviewText", element).text,
+    date: normaliseText(date?.getAttribute("datetime") || date?.getAttribute("content") || date?.textContent),
+    score: score !== null && score <= 5 ? score : null,
+    recommended: findReviewRecommendation(element),
+  };
+}
+
+function extractStructuredReviews(structuredEntries) {
+  return structuredEntries
+    .flatMap((entry) => {
+      if (entry?.["@type"] === "Review") {
+        return [entry];
+      }
+      const reviews = entry?.review;
+      return Array.isArray(reviews) ? reviews : reviews ? [reviews] : [];
+    })
+    .filter((review) => review && typeof review === "object")
+    .map((review) => ({
+      text: normaliseText(review.reviewBody ?? review.description),
+      date: normaliseText(review.datePublished),
+      score: parseLocaleNumber(review.reviewRating?.ratingValue),
+      recommended: null,
+    }));
+}
+
+// Individual patient comments; the visible comment list wins over JSON-LD, which usually holds only a few.
+function extractDoctorReviews(structuredEntries, doc = document) {
+  const seen = new Set();
+  const reviews = [];
+  let source = "";
+
+  function addReviews(candidates, candidateSource) {
+    candidates.forEach((review) => {
+      if (!review.text && review.score === null) {
+        return;
+      }
+      const key = `${review.date}||${review.text}`;
+      if (seen.has(key)) {
+        return;
+      }
+      seen.add(key);
+      reviews.push(review);
+      source = source || candidateSource;
+    });
+  }
+
+  for (const selector of getSelectors("review")) {
+    addReviews(Array.from(doc.querySelectorAll(selector)).map(extractReviewFromElement), `dom:${selector}`);
+    if (reviews.length) {
+      break;
+    }
+  }
+  if (!reviews.length) {
+    addReviews(extractStructuredReviews(structuredEntries), "json-ld");
+  }
+
+  return { value: reviews, source };
 }
 
 function normaliseAddressText(text) {
   return normaliseText(text);
 }
 
-function createPhoneCollector() {
-  return createCollector(normalisePhoneText, (_, value) => normalisePhoneKey(value));
+// Local numbers get the area code of `city`, so the same line collected with and without it deduplicates.
+function createPhoneCollector(city = "") {
+  return createCollector((value) => normalisePhoneText(value, city));
 }
 
 function collectPhonesFromElement(root, collector) {
-  const phoneContainers = Array.from(root.querySelectorAll(PHONE_CONTAINER_SELECTORS.join(",")));
+  const phoneContainers = queryAllSelectorGroup("phoneContainer", root);
   const elementsToScan = phoneContainers.length ? phoneContainers : [root];
+  const containerKey = phoneContainers.length ? "phoneContainer" : "officeContainer";
 
   elementsToScan.forEach((element) => {
     const rawText = normaliseWhitespace(element.textContent || "");
     if (!rawText) {
       return;
     }
+    const source = getSelectorSource(element, containerKey);
     rawText
       .split(/\n|،|,|؛|;|\||\//)
       .map((item) => item.trim())
-      .forEach((item) => addPhoneCandidate(collector, item));
+      .forEach((item) => addPhoneCandidate(collector, item, source));
   });
 
   const telLinks = Array.from(root.querySelectorAll("a[href^='tel:']"));
   telLinks.forEach((link) => {
     const href = link.getAttribute("href") || "";
-    addPhoneCandidate(collector, href.replace(/^tel:/i, ""));
-    addPhoneCandidate(collector, link.textContent || "");
+    addPhoneCandidate(collector, href.replace(/^tel:/i, ""), "tel-link", TRUSTED_PHONE_SOURCE);
+    addPhoneCandidate(collector, link.textContent || "", "tel-link", TRUSTED_PHONE_SOURCE);
   });
 
   const dataSelectors = ["[data-phone]", "[data-tel]", "[data-tell]", "[data-mobile]", "[data-number]", "[data-phones]"];
@@ -682,31 +817,418 @@ function collectPhonesFromElement(root, collector) {
     elements.forEach((element) => {
       const attrName = selector.replace(/[\[\]]/g, "");
       const attrValue = element.getAttribute(attrName);
-      addPhoneCandidate(collector, attrValue);
+      addPhoneCandidate(collector, attrValue, "data-attribute", TRUSTED_PHONE_SOURCE);
       if (element.dataset) {
         Object.keys(element.dataset)
           .filter((key) => /phone|tel|mobile|number/i.test(key))
-          .forEach((key) => addPhoneCandidate(collector, element.dataset[key]));
+          .forEach((key) => addPhoneCandidate(collector, element.dataset[key], "data-attribute", TRUSTED_PHONE_SOURCE));
       }
     });
   });
 }
 
-function collectOfficeAddresses(structuredEntries) {
+const SCHEDULE_WEEKDAYS = ["saturday", "sunday", "monday", "tuesday", "wednesday", "thursday", "friday"];
+const PERSIAN_WEEKDAY_PREFIXES = { "": "saturday", یک: "sunday", دو: "monday", سه: "tuesday", چهار: "wednesday", پنج: "thursday" };
+const WEEKDAY_PATTERN = /(?:(یک|دو|سه|چهار|پنج)\s*)?شنبه|جمعه|\b(saturday|sunday|monday|tuesday|wednesday|thursday|friday)\b/gi;
+const DAY_RANGE_SEPARATOR = /^\s*(?:تا|الی|-|–|to)\s*$/i;
+const TIME_RANGE_PATTERN = /(\d{1,2})(?:[:.](\d{2}))?\s*(?:تا|الی|-|–|to)\s*(?:ساعت\s*)?(\d{1,2})(?:[:.](\d{2}))?/gi;
+
+function normaliseSearchText(value) {
+  return normaliseText(value).replace(/ي/g, "ی").replace(/ك/g, "ک");
+}
+
+function toWeekday(match) {
+  if (match[2]) {
+    return match[2].toLowerCase();
+  }
+  return match[0] === "جمعه" ? "friday" : PERSIAN_WEEKDAY_PREFIXES[match[1] || ""];
+}
+
+// "شنبه تا چهارشنبه" expands to every day in between; otherwise each named day is kept.
+function findWeekdays(text) {
+  const matches = Array.from(text.matchAll(WEEKDAY_PATTERN));
+  const days = [];
+  matches.forEach((match, index) => {
+    const day = toWeekday(match);
+    const previous = matches[index - 1];
+    const between = previous ? text.slice(previous.index + previous[0].length, match.index) : "";
+    if (previous && DAY_RANGE_SEPARATOR.test(between)) {
+      const start = SCHEDULE_WEEKDAYS.indexOf(toWeekday(previous));
+      const end = SCHEDULE_WEEKDAYS.indexOf(day);
+      for (let offset = 1; start >= 0 && end >= 0 && offset <= (end - start + 7) % 7; offset += 1) {
+        days.push(SCHEDULE_WEEKDAYS[(start + offset) % 7]);
+      }
+      return;
+    }
+    days.push(day);
+  });
+  return Array.from(new Set(days.filter(Boolean)));
+}
+
+function formatScheduleTime(hours, minutes) {
+  return `${String(hours).padStart(2, "0")}:${minutes || "00"}`;
+}
+
+// "۹ تا ۱۳", "16:30-20" or "از ساعت ۱۰ تا ۲"; an end before the start is read as afternoon (14:00).
+function findTimeRanges(text) {
+  return Array.from(text.matchAll(TIME_RANGE_PATTERN))
+    .map((match) => {
+      const fromHours = Number(match[1]);
+      let toHours = Number(match[3]);
+      if (toHours <= fromHours && toHours < 12) {
+        toHours += 12;
+      }
+      if (fromHours > 23 || toHours > 24 || Number(match[2] || 0) > 59 || Number(match[4] || 0) > 59) {
+        return null;
+      }
+      return { from: formatScheduleTime(fromHours, match[2]), to: formatScheduleTime(toHours, match[4]) };
+    })
+    .filter(Boolean);
+}
+
+// A line with days but no hours carries its days over to the following lines that only list hours.
+function parseScheduleLines(lines) {
+  const schedule = [];
+  let pendingDays = [];
+  lines.forEach((line) => {
+    const text = normaliseSearchText(line);
+    if (!text) {
+      return;
+    }
+    const days = findWeekdays(text);
+    const times = findTimeRanges(text);
+    if (days.length && !times.length) {
+      pendingDays = days;
+      return;
+    }
+    const targetDays = days.length ? days : pendingDays;
+    targetDays.forEach((day) => times.forEach((time) => schedule.push({ day, ...time })));
+  });
+  return schedule;
+}
+
+function collectOfficeSchedule(office) {
+  return queryAllSelectorGroup("officeSchedule", office).flatMap((container) => {
+    const rows = queryAllSelectorGroup("officeScheduleRow", container);
+    const lines = rows.length
+      ? rows.map((row) => row.textContent)
+      : String(container.textContent || "").split(/\n|؛|;/);
+    return parseScheduleLines(lines);
+  });
+}
+
+// schema.org `opens`/`closes` are 24-hour "HH:MM" or "HH:MM:SS"; the seconds are dropped.
+function parseStructuredTime(value) {
+  const match = convertLocaleDigits(String(value ?? "")).trim().match(/^(\d{1,2}):(\d{2})/);
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+    return "";
+  }
+  return formatScheduleTime(Number(match[1]), match[2]);
+}
+
+function parseOpeningHoursSpecification(specification) {
+  const entries = Array.isArray(specification) ? specification : specification ? [specification] : [];
+  return entries.flatMap((entry) => {
+    const days = (Array.isArray(entry?.dayOfWeek) ? entry.dayOfWeek : [entry?.dayOfWeek])
+      .map((day) => String(day ?? "").split("/").pop().toLowerCase())
+      .filter((day) => SCHEDULE_WEEKDAYS.includes(day));
+    const from = parseStructuredTime(entry?.opens);
+    const to = parseStructuredTime(entry?.closes);
+    return from && to ? days.map((day) => ({ day, from, to })) : [];
+  });
+}
+
+const JALALI_MONTHS = ["فروردین", "اردیبهشت", "خرداد", "تیر", "مرداد", "شهریور", "مهر", "آبان", "آذر", "دی", "بهمن", "اسفند"];
+const NUMERIC_DATE_PATTERN = /(\d{4})[/\-.](\d{1,2})[/\-.](\d{1,2})/;
+const NAMED_DATE_PATTERN = new RegExp(
+  `(\\d{1,2})\\s*(${JALALI_MONTHS.join("|")})(?:\\s*ماه)?(?![آ-ی])(?:\\s*(\\d{4}))?`
+);
+const RELATIVE_DAY_OFFSETS = [
+  { pattern: /پس\s*فردا/, offset: 2 },
+  { pattern: /فردا|tomorrow/i, offset: 1 },
+  { pattern: /امروز|today/i, offset: 0 },
+];
+const BOOKING_TEXT_PATTERN = /نوبت\s*دهی\s*(?:اینترنتی|آنلاین)|رزرو\s*(?:آنلاین\s*)?نوبت|دریافت\s*نوبت|online booking|book (?:an )?appointment/i;
+const NO_BOOKING_TEXT_PATTERN = /(?:نوبت\s*دهی\s*(?:اینترنتی|آنلاین)|رزرو\s*نوبت)\s*(?:ندارد|غیر\s*فعال)/;
+const PHONE_CONSULTATION_PATTERN = /مشاوره\s*تلفنی|phone consultation/i;
+const ONLINE_CONSULTATION_PATTERN = /مشاوره\s*(?:آنلاین|اینترنتی|متنی|ویدیویی|ویدئویی)|(?:online|video) consultation/i;
+
+function padDatePart(value) {
+  return String(value).padStart(2, "0");
+}
+
+// Jalali (Solar Hijri) to Gregorian using the 33-year leap cycle; returns [year, month, day].
+function jalaliToGregorian(jy, jm, jd) {
+  let days =
+    -355668 +
+    365 * (jy + 1595) +
+    Math.floor((jy + 1595) / 33) * 8 +
+    Math.floor((((jy + 1595) % 33) + 3) / 4) +
+    jd +
+    (jm < 7 ? (jm - 1) * 31 : (jm - 7) * 30 + 186);
+  let gy = 400 * Math.floor(days / 146097);
+  days %= 146097;
+  if (days > 36524) {
+    days -= 1;
+    gy += 100 * Math.floor(days / 36524);
+    days %= 36524;
+    if (days >= 365) {
+      days += 1;
+    }
+  }
+  gy += 4 * Math.floor(days / 1461);
+  days %= 1461;
+  if (days > 365) {
+    gy += Math.floor((days - 1) / 365);
+    days = (days - 1) % 365;
+  }
+  const isLeap = (gy % 4 === 0 && gy % 100 !== 0) || gy % 400 === 0;
+  const monthLengths = [31, isLeap ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+  let gd = days + 1;
+  let gm = 0;
+  while (gm < 12 && gd > monthLengths[gm]) {
+    gd -= monthLengths[gm];
+    gm += 1;
+  }
+  return [gy, gm + 1, gd];
+}
+
+function toIsoDate(year, month, day) {
+  return `${year}-${padDatePart(month)}-${padDatePart(day)}`;
+}
+
+// In a common year 30 Esfand lands on the Gregorian day of the next 1 Farvardin.
+function isJalaliLeapYear(jy) {
+  return toIsoDate(...jalaliToGregorian(jy, 12, 30)) !== toIsoDate(...jalaliToGregorian(jy + 1, 1, 1));
+}
+
+function jalaliToIsoDate(jy, jm, jd) {
+  if (jm < 1 || jm > 12 || jd < 1 || jd > (jm <= 6 ? 31 : 30) || (jm === 12 && jd === 30 && !isJalaliLeapYear(jy))) {
+    return "";
+  }
+  return toIsoDate(...jalaliToGregorian(jy, jm, jd));
+}
+
+function gregorianToIsoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return "";
+  }
+  return toIsoDate(year, month, day);
+}
+
+// A Jalali date without a year is the next occurrence of that day from today.
+function resolveJalaliDateWithoutYear(jm, jd, today) {
+  const todayIso = toIsoDate(today.getFullYear(), today.getMonth() + 1, today.getDate());
+  const firstCandidateYear = today.getFullYear() - 622;
+  for (let jy = firstCandidateYear; jy <= firstCandidateYear + 2; jy += 1) {
+    const iso = jalaliToIsoDate(jy, jm, jd);
+    if (iso && iso >= todayIso) {
+      return iso;
+    }
+  }
+  return "";
+}
+
+function parseSlotTime(text) {
+  const match = text.match(/ساعت\s*(\d{1,2})(?::(\d{2}))?/) || text.match(/(\d{1,2}):(\d{2})/);
+  if (!match || Number(match[1]) > 23 || Number(match[2] || 0) > 59) {
+    return "";
+  }
+  return `${padDatePart(match[1])}:${match[2] || "00"}`;
+}
+
+// "۱۴۰۳/۰۸/۱۵ ساعت ۱۰:۳۰", "شنبه ۱۵ آبان" or "فردا" to "2024-11-05T10:30" (site-local time, no offset) or a plain date.
+function parseSlotDate(value, today = new Date()) {
+  const text = normaliseSearchText(value);
+  if (!text) {
+    return "";
+  }
+
+  let date = "";
+  let rest = text;
+  const numeric = text.match(NUMERIC_DATE_PATTERN);
+  const named = text.match(NAMED_DATE_PATTERN);
+  if (numeric) {
+    const [year, month, day] = numeric.slice(1).map(Number);
+    date = year >= 1900 ? gregorianToIsoDate(year, month, day) : year >= 1300 && year < 1500 ? jalaliToIsoDate(year, month, day) : "";
+    rest = text.replace(numeric[0], " ");
+  } else if (named) {
+    const day = Number(named[1]);
+    const month = JALALI_MONTHS.indexOf(named[2]) + 1;
+    date = named[3] ? jalaliToIsoDate(Number(named[3]), month, day) : resolveJalaliDateWithoutYear(month, day, today);
+    rest = text.replace(named[0], " ");
+  } else {
+    const relative = RELATIVE_DAY_OFFSETS.find(({ pattern }) => pattern.test(text));
+    if (relative) {
+      const target = new Date(today.getFullYear(), today.getMonth(), today.getDate() + relative.offset);
+      date = toIsoDate(target.getFullYear(), target.getMonth() + 1, target.getDate());
+    }
+  }
+
+  if (!date) {
+    return "";
+  }
+  const time = parseSlotTime(rest);
+  return time ? `${date}T${time}` : date;
+}
+
+function isActionEnabled(element) {
+  return !element.disabled && element.getAttribute("aria-disabled") !== "true" && !element.classList.contains("disabled");
+}
+
+function findNextAvailableSlot(office) {
+  for (const element of queryAllSelectorGroup("officeNextSlot", office)) {
+    const candidates = [
+      element.getAttribute("data-next-available"),
+      element.getAttribute("data-date"),
+      element.getAttribute("datetime"),
+      element.getAttribute("content"),
+      element.textContent,
+    ];
+    for (const candidate of candidates) {
+      const slot = parseSlotDate(candidate);
+      if (slot) {
+        return slot;
+      }
+    }
+  }
+  return "";
+}
+
+// Booking and consultation flags are false when an office block was inspected and showed neither.
+function collectOfficeBooking(office) {
+  const text = normaliseSearchText(office.textContent);
+  const bookingActions = queryAllSelectorGroup("officeBooking", office);
+  const consultationText = queryAllSelectorGroup("officeConsultation", office)
+    .map((element) => normaliseSearchText(`${element.getAttribute("data-type") || ""} ${element.textContent}`))
+    .join(" ");
+
+  return {
+    onlineBooking:
+      bookingActions.some(isActionEnabled) || (BOOKING_TEXT_PATTERN.test(text) && !NO_BOOKING_TEXT_PATTERN.test(text)),
+    phoneConsultation:
+      PHONE_CONSULTATION_PATTERN.test(text) || /تلفنی|phone/i.test(consultationText),
+    onlineConsultation:
+      ONLINE_CONSULTATION_PATTERN.test(text) || /آنلاین|اینترنتی|متنی|ویدیویی|ویدئویی|online|video|chat/i.test(consultationText),
+    nextAvailable: findNextAvailableSlot(office),
+  };
+}
+
+function hasReserveAction(entry) {
+  const actions = Array.isArray(entry?.potentialAction) ? entry.potentialAction : [entry?.potentialAction];
+  return actions.some((action) => action?.["@type"] === "ReserveAction");
+}
+
+// Latitude/longitude pairs as they appear in map URLs, tried in order on every link, iframe and image.
+const MAP_URL_COORDINATE_PATTERNS = [
+  /!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/,
+  /@(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/,
+  /[?&](?:q|ll|query|center|destination|daddr|sll)=(?:loc:)?(-?\d+(?:\.\d+)?)(?:,|%2C)\s*(-?\d+(?:\.\d+)?)/i,
+  /[?&]m?lat(?:itude)?=(-?\d+(?:\.\d+)?).*?[?&]m?(?:lng|lon|long|longitude)=(-?\d+(?:\.\d+)?)/i,
+  /#map=\d+\/(-?\d+(?:\.\d+)?)\/(-?\d+(?:\.\d+)?)/,
+  /^geo:(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/i,
+];
+// Bounding box used to spot pairs written in longitude, latitude order.
+const IRAN_BOUNDS = { minLat: 24, maxLat: 40.5, minLng: 44, maxLng: 63.5 };
+
+function isWithinIran(latitude, longitude) {
+  return (
+    latitude >= IRAN_BOUNDS.minLat &&
+    latitude <= IRAN_BOUNDS.maxLat &&
+    longitude >= IRAN_BOUNDS.minLng &&
+    longitude <= IRAN_BOUNDS.maxLng
+  );
+}
+
+function toCoordinates(rawLatitude, rawLongitude) {
+  const latitude = Number.parseFloat(convertLocaleDigits(rawLatitude).replace(/٫/g, "."));
+  const longitude = Number.parseFloat(convertLocaleDigits(rawLongitude).replace(/٫/g, "."));
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || (latitude === 0 && longitude === 0)) {
+    return null;
+  }
+  if (!isWithinIran(latitude, longitude) && isWithinIran(longitude, latitude)) {
+    return { latitude: longitude, longitude: latitude };
+  }
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null;
+  }
+  return { latitude, longitude };
+}
+
+function parseMapUrl(url) {
+  let text = String(url || "");
+  try {
+    text = decodeURIComponent(text);
+  } catch (error) {
+    // Keep the raw URL when it is not valid percent-encoding.
+  }
+  for (const pattern of MAP_URL_COORDINATE_PATTERNS) {
+    const match = text.match(pattern);
+    const coordinates = match ? toCoordinates(match[1], match[2]) : null;
+    if (coordinates) {
+      return coordinates;
+    }
+  }
+  return null;
+}
+
+function readCoordinateAttributes(element) {
+  const latitude =
+    element.getAttribute("data-lat") ?? element.getAttribute("data-latitude") ?? element.getAttribute("latitude");
+  const longitude =
+    element.getAttribute("data-lng") ??
+    element.getAttribute("data-lon") ??
+    element.getAttribute("data-long") ??
+    element.getAttribute("data-longitude") ??
+    element.getAttribute("longitude");
+  return latitude !== null && longitude !== null ? toCoordinates(latitude, longitude) : null;
+}
+
+// Coordinates from the first map element (data attributes, then map links, iframes or static map images).
+function findMapCoordinates(root) {
+  const group = getSelectorGroup("officeMap");
+  const elements = queryAllSelectorGroup("officeMap", root);
+  if (group && root.matches?.(group)) {
+    elements.unshift(root);
+  }
+  for (const element of elements) {
+    const coordinates =
+      readCoordinateAttributes(element) ||
+      parseMapUrl(element.getAttribute("href") || element.getAttribute("src") || element.getAttribute("data-src"));
+    if (coordinates) {
+      return coordinates;
+    }
+  }
+  return null;
+}
+
+function parseStructuredGeo(value) {
+  const geo = Array.isArray(value?.geo) ? value.geo[0] : value?.geo;
+  if (geo && typeof geo === "object") {
+    const coordinates = toCoordinates(geo.latitude, geo.longitude);
+    if (coordinates) {
+      return coordinates;
+    }
+  }
+  return value?.hasMap ? parseMapUrl(value.hasMap) : null;
+}
+
+function collectOfficeAddresses(structuredEntries, doc = document) {
   const offices = [];
   const officeSeen = new Set();
   const addressCollector = createCollector(normaliseAddressText);
   const cityCollector = createCollector(normaliseText);
   const processedAddressNodes = new Set();
+  const officeSources = [];
 
-  function pushOffice(details) {
+  function pushOffice(details, source) {
     if (!details) {
       return;
     }
 
     const officeCityCollector = createCollector(normaliseText);
     const officeAddressCollector = createCollector(normaliseAddressText);
-    const officePhoneCollector = createPhoneCollector();
 
     if (details.city) {
       officeCityCollector.add(details.city);
@@ -723,7 +1245,8 @@ function collectOfficeAddresses(structuredEntries) {
       : details.phone
       ? [details.phone]
       : [];
-    phones.forEach((phone) => officePhoneCollector.add(phone));
+    const officePhoneCollector = createPhoneCollector(officeCityCollector.values()[0]);
+    phones.forEach((phone) => addPhoneCandidate(officePhoneCollector, phone));
 
     const city = officeCityCollector.values().find(Boolean) || "";
     const normalisedAddresses = officeAddressCollector.values();
@@ -739,7 +1262,23 @@ function collectOfficeAddresses(structuredEntries) {
     }
     officeSeen.add(key);
 
-    offices.push({ city, addresses: normalisedAddresses, phones: normalisedPhones });
+    offices.push({
+      city,
+      addresses: normalisedAddresses,
+      phones: normalisedPhones,
+      schedule: Array.isArray(details.schedule) ? details.schedule : [],
+      onlineBooking: details.booking?.onlineBooking ?? null,
+      phoneConsultation: details.booking?.phoneConsultation ?? null,
+      onlineConsultation: details.booking?.onlineConsultation ?? null,
+      nextAvailable: details.booking?.nextAvailable || "",
+      latitude: details.coordinates?.latitude ?? null,
+      longitude: details.coordinates?.longitude ?? null,
+    });
+    officeSources.push({
+      office: source,
+      city: details.citySource || source,
+      addresses: details.addressSources?.length ? details.addressSources : [source],
+    });
   }
 
   function addAddressNode(node, cityTarget = cityCollector, addressTarget = addressCollector) {
@@ -747,55 +1286,61 @@ function collectOfficeAddresses(structuredEntries) {
       return;
     }
     processedAddressNodes.add(node);
+    const source = getSelectorSource(node, "addressContainer");
     const strongs = Array.from(node.querySelectorAll("strong"));
     if (strongs.length > 1) {
-      cityTarget.add(strongs[0]?.textContent);
-      addressTarget.add(strongs[strongs.length - 1]?.textContent);
+      cityTarget.add(strongs[0]?.textContent, source);
+      addressTarget.add(strongs[strongs.length - 1]?.textContent, source);
     } else if (strongs.length === 1) {
-      addressTarget.add(strongs[0].textContent);
+      addressTarget.add(strongs[0].textContent, source);
     } else {
-      addressTarget.add(node.textContent);
+      addressTarget.add(node.textContent, source);
     }
   }
 
-  const officeContainers = Array.from(
-    document.querySelectorAll(
-      ".office, .doctor-office, .office-item, .doctor-ui-office, .doctor-ui__office, .office-info"
-    )
-  );
+  const officeContainers = queryAllSelectorGroup("officeContainer", doc);
 
   officeContainers.forEach((office) => {
+    const officeSource = getSelectorSource(office, "officeContainer");
     const officeCityCollector = createCollector(normaliseText);
-    officeCityCollector.add(office.getAttribute("data-city") || office.dataset?.city);
+    officeCityCollector.add(office.getAttribute("data-city") || office.dataset?.city, "data-attribute");
 
     const officeAddressCollector = createCollector(normaliseAddressText);
-    const addressNodes = Array.from(office.querySelectorAll(ADDRESS_CONTAINER_SELECTORS.join(",")));
+    const addressNodes = queryAllSelectorGroup("addressContainer", office);
     if (addressNodes.length) {
       addressNodes.forEach((node) => {
         addAddressNode(node, officeCityCollector, officeAddressCollector);
       });
     } else {
-      officeAddressCollector.add(office.textContent);
+      officeAddressCollector.add(office.textContent, officeSource);
     }
 
-    const phoneCollector = createPhoneCollector();
+    const phoneCollector = createPhoneCollector(officeCityCollector.values()[0]);
     collectPhonesFromElement(office, phoneCollector);
 
-    pushOffice({
-      city: officeCityCollector.values().find(Boolean) || "",
-      addresses: officeAddressCollector.values(),
-      phones: phoneCollector.values(),
-    });
+    pushOffice(
+      {
+        city: officeCityCollector.values().find(Boolean) || "",
+        addresses: officeAddressCollector.values(),
+        phones: phoneCollector.values(),
+        schedule: collectOfficeSchedule(office),
+        booking: collectOfficeBooking(office),
+        coordinates: findMapCoordinates(office),
+        citySource: officeCityCollector.sources()[0],
+        addressSources: officeAddressCollector.sources(),
+      },
+      officeSource
+    );
   });
 
-  const locality = document.querySelector("[itemprop='addressLocality']");
-  if (locality) {
-    cityCollector.add(locality.textContent);
+  const locality = extractFirstText("locality", doc);
+  if (locality.text) {
+    cityCollector.add(locality.text, locality.source);
   }
 
   structuredEntries.forEach((entry) => {
     if (entry?.addressLocality) {
-      cityCollector.add(entry.addressLocality);
+      cityCollector.add(entry.addressLocality, "json-ld");
     }
 
     const addressCandidates = entry?.address;
@@ -806,11 +1351,17 @@ function collectOfficeAddresses(structuredEntries) {
       : [];
 
     if (!addressList.length && (entry?.streetAddress || entry?.telephone || entry?.addressLocality)) {
-      pushOffice({
-        city: entry.addressLocality || entry.addressRegion || "",
-        addresses: entry.streetAddress ? [entry.streetAddress] : [],
-        phones: entry.telephone ? [entry.telephone] : [],
-      });
+      pushOffice(
+        {
+          city: entry.addressLocality || entry.addressRegion || "",
+          addresses: entry.streetAddress ? [entry.streetAddress] : [],
+          phones: entry.telephone ? [entry.telephone] : [],
+          schedule: parseOpeningHoursSpecification(entry.openingHoursSpecification),
+          booking: hasReserveAction(entry) ? { onlineBooking: true } : null,
+          coordinates: parseStructuredGeo(entry),
+        },
+        "json-ld"
+      );
     }
 
     addressList.forEach((address) => {
@@ -818,7 +1369,7 @@ function collectOfficeAddresses(structuredEntries) {
         return;
       }
       if (typeof address === "string") {
-        pushOffice({ city: "", addresses: [address], phones: [] });
+        pushOffice({ city: "", addresses: [address], phones: [] }, "json-ld");
         return;
       }
 
@@ -835,14 +1386,23 @@ function collectOfficeAddresses(structuredEntries) {
         officeAddressCollector.add(address.streetAddress);
       }
 
-      const phoneCollector = createPhoneCollector();
+      const phoneCollector = createPhoneCollector(officeCityCollector.values()[0]);
       addPhoneCandidate(phoneCollector, address.telephone);
 
-      pushOffice({
-        city: officeCityCollector.values().find(Boolean) || "",
-        addresses: officeAddressCollector.values(),
-        phones: phoneCollector.values(),
-      });
+      pushOffice(
+        {
+          city: officeCityCollector.values().find(Boolean) || "",
+          addresses: officeAddressCollector.values(),
+          phones: phoneCollector.values(),
+          schedule:
+            addressList.length === 1
+              ? parseOpeningHoursSpecification(address.openingHoursSpecification ?? entry.openingHoursSpecification)
+              : parseOpeningHoursSpecification(address.openingHoursSpecification),
+          booking: hasReserveAction(entry) ? { onlineBooking: true } : null,
+          coordinates: parseStructuredGeo(address) || (addressList.length === 1 ? parseStructuredGeo(entry) : null),
+        },
+        "json-ld"
+      );
     });
   });
 
@@ -850,7 +1410,7 @@ function collectOfficeAddresses(structuredEntries) {
     const fallbackAddressCollector = createCollector(normaliseAddressText);
     const fallbackCityCollector = createCollector(normaliseText);
 
-    const fallbackNodes = Array.from(document.querySelectorAll(ADDRESS_CONTAINER_SELECTORS.join(",")));
+    const fallbackNodes = queryAllSelectorGroup("addressContainer", doc);
     fallbackNodes.forEach((node) => {
       if (processedAddressNodes.has(node)) {
         return;
@@ -862,20 +1422,33 @@ function collectOfficeAddresses(structuredEntries) {
     const fallbackCity = fallbackCityCollector.values().find(Boolean) || "";
 
     if (fallbackAddresses.length || fallbackCity) {
-      pushOffice({
-        city: fallbackCity,
-        addresses: fallbackAddresses,
-        phones: collectPhoneNumbers(structuredEntries),
-      });
+      pushOffice(
+        {
+          city: fallbackCity,
+          addresses: fallbackAddresses,
+          phones: collectPhoneNumbers(structuredEntries, doc, fallbackCity).values,
+        },
+        fallbackAddressCollector.sources()[0] || fallbackCityCollector.sources()[0] || "dom"
+      );
     }
   }
 
-  offices.forEach((office) => {
-    cityCollector.add(office.city);
-    office.addresses.forEach((address) => addressCollector.add(address));
+  // Profiles often embed a single map for the whole page rather than one per office block.
+  if (offices.length === 1 && offices[0].latitude === null) {
+    const coordinates = findMapCoordinates(doc) || structuredEntries.map(parseStructuredGeo).find(Boolean);
+    if (coordinates) {
+      offices[0].latitude = coordinates.latitude;
+      offices[0].longitude = coordinates.longitude;
+    }
+  }
+
+  offices.forEach((office, index) => {
+    const sources = officeSources[index];
+    cityCollector.add(office.city, sources.city);
+    office.addresses.forEach((address) => addressCollector.add(address, sources.addresses[0]));
   });
 
-  const fallbackNodes = Array.from(document.querySelectorAll(ADDRESS_CONTAINER_SELECTORS.join(",")));
+  const fallbackNodes = queryAllSelectorGroup("addressContainer", doc);
   fallbackNodes.forEach((node) => {
     if (processedAddressNodes.has(node)) {
       return;
@@ -891,30 +1464,36 @@ function collectOfficeAddresses(structuredEntries) {
         return;
       }
       if (typeof address === "string") {
-        addressCollector.add(address);
+        addressCollector.add(address, "json-ld");
         return;
       }
       if (address.streetAddress) {
-        addressCollector.add(address.streetAddress);
+        addressCollector.add(address.streetAddress, "json-ld");
       }
       if (address.addressLocality) {
-        cityCollector.add(address.addressLocality);
+        cityCollector.add(address.addressLocality, "json-ld");
       }
     });
   });
 
   const addresses = addressCollector.values();
   const city = cityCollector.values().find(Boolean) || "";
+  const sources = {
+    city: city ? cityCollector.sources().slice(0, 1) : [],
+    addresses: addressCollector.sources(),
+    offices: Array.from(new Set(officeSources.map((sources) => sources.office).filter(Boolean))),
+  };
 
-  return { city, addresses, offices };
+  return { city, addresses, offices, sources };
 }
 
-function addPhoneCandidate(collector, value) {
+// `options` are passed on to parseIranianPhones (e.g. allowShortCodes for tel: links and data attributes).
+function addPhoneCandidate(collector, value, source, options = {}) {
   if (value === undefined || value === null) {
     return;
   }
   if (Array.isArray(value)) {
-    value.forEach((item) => addPhoneCandidate(collector, item));
+    value.forEach((item) => addPhoneCandidate(collector, item, source, options));
     return;
   }
   if (typeof value === "string") {
@@ -925,20 +1504,20 @@ function addPhoneCandidate(collector, value) {
     if ((trimmed.startsWith("[") && trimmed.endsWith("]")) || (trimmed.startsWith("{") && trimmed.endsWith("}"))) {
       try {
         const parsed = JSON.parse(trimmed);
-        addPhoneCandidate(collector, parsed);
+        addPhoneCandidate(collector, parsed, source, options);
         return;
       } catch (error) {
         // Ignore malformed JSON-like strings and treat them as plain text.
       }
     }
-    collector.add(trimmed);
+    parseIranianPhones(trimmed, "", options).forEach((phone) => collector.add(phone.number, source));
     return;
   }
   if (typeof value === "object") {
-    Object.values(value).forEach((item) => addPhoneCandidate(collector, item));
+    Object.values(value).forEach((item) => addPhoneCandidate(collector, item, source, options));
     return;
   }
-  collector.add(String(value));
+  addPhoneCandidate(collector, String(value), source, options);
 }
 
 function collectPhonesFromStructuredData(structuredEntries, addPhone) {
@@ -957,60 +1536,65 @@ function collectPhonesFromStructuredData(structuredEntries, addPhone) {
 
     const addresses = Array.isArray(entry?.address) ? entry.address : entry?.address ? [entry.address] : [];
     addresses.forEach((address) => {
-      if (!address || typeof address !== "object") {
+      if (!address || typeof address !== "object" || !address.telephone) {
         return;
       }
-      addPhone(address.telephone);
+      // Resolve local numbers against the address's own city rather than the doctor's.
+      const city = address.addressLocality || address.addressRegion || "";
+      addPhone([address.telephone].flat().flatMap((value) => parseIranianPhones(value, city).map((phone) => phone.number)));
     });
   });
 }
 
-function collectPhoneNumbers(structuredEntries) {
-  const collector = createCollector(normalisePhoneText, (_, value) => normalisePhoneKey(value));
+function collectPhoneNumbers(structuredEntries, doc = document, city = "") {
+  const collector = createPhoneCollector(city);
 
-  const phoneContainers = Array.from(document.querySelectorAll(PHONE_CONTAINER_SELECTORS.join(",")));
+  const phoneContainers = queryAllSelectorGroup("phoneContainer", doc);
   phoneContainers.forEach((container) => {
     const rawText = normaliseWhitespace(container.textContent || "");
     if (!rawText) {
       return;
     }
+    const source = getSelectorSource(container, "phoneContainer");
     rawText
       .split(/\n|،|,|؛|;|\||\//)
       .map((item) => item.trim())
-      .forEach((item) => addPhoneCandidate(collector, item));
+      .forEach((item) => addPhoneCandidate(collector, item, source));
   });
 
-  const telLinks = Array.from(document.querySelectorAll("a[href^='tel:']"));
+  const telLinks = Array.from(doc.querySelectorAll("a[href^='tel:']"));
   telLinks.forEach((link) => {
     const href = link.getAttribute("href") || "";
-    addPhoneCandidate(collector, href.replace(/^tel:/i, ""));
-    addPhoneCandidate(collector, link.textContent || "");
+    addPhoneCandidate(collector, href.replace(/^tel:/i, ""), "tel-link", TRUSTED_PHONE_SOURCE);
+    addPhoneCandidate(collector, link.textContent || "", "tel-link", TRUSTED_PHONE_SOURCE);
   });
 
   const dataSelectors = ["[data-phone]", "[data-tel]", "[data-tell]", "[data-mobile]", "[data-number]", "[data-phones]"];
   dataSelectors.forEach((selector) => {
-    const elements = Array.from(document.querySelectorAll(selector));
+    const elements = Array.from(doc.querySelectorAll(selector));
     elements.forEach((element) => {
       const attrName = selector.replace(/[\[\]]/g, "");
       const attrValue = element.getAttribute(attrName);
-      addPhoneCandidate(collector, attrValue);
+      addPhoneCandidate(collector, attrValue, "data-attribute", TRUSTED_PHONE_SOURCE);
       if (element.dataset) {
         Object.keys(element.dataset)
           .filter((key) => /phone|tel|mobile|number/i.test(key))
-          .forEach((key) => addPhoneCandidate(collector, element.dataset[key]));
+          .forEach((key) => addPhoneCandidate(collector, element.dataset[key], "data-attribute", TRUSTED_PHONE_SOURCE));
       }
     });
   });
 
-  collectPhonesFromStructuredData(structuredEntries, (value) => addPhoneCandidate(collector, value));
+  collectPhonesFromStructuredData(structuredEntries, (value) => addPhoneCandidate(collector, value, "json-ld"));
+
+  return { values: collector.values(), sources: collector.sources() };
+}
 
-  return collector.values();
+function findPhoneRevealButtons(doc = document) {
+  return queryAllSelectorGroup("phoneReveal", doc);
 }
 
 async function revealPhoneNumbers() {
-  const buttons = Array.from(
-    document.querySelectorAll("button[data-role='show-tells'], button.show-tells, [data-role='show-tells'] button")
-  );
+  const buttons = findPhoneRevealButtons();
 
   if (!buttons.length) {
     return;
@@ -1029,32 +1613,66 @@ async function revealPhoneNumbers() {
   await new Promise((resolve) => setTimeout(resolve, 800));
 }
 
-async function scrapeDoctorDetails() {
-  await waitForElement("h1.doctor-ui-name, .doctor-ui-name, [itemprop='name']", 8000);
-  const structuredEntries = extractStructuredEntries();
-
-  await revealPhoneNumbers();
-
-  const { city, addresses, offices } = collectOfficeAddresses(structuredEntries);
+// `sources` lists, per field, where the values came from ("dom:<selector>", "json-ld", "tel-link", "data-attribute").
+function extractDoctorDetails(doc, url) {
+  const structuredEntries = extractStructuredEntries(doc);
+  const { city, addresses, offices, sources: officeSources } = collectOfficeAddresses(structuredEntries, doc);
+  const name = extractDoctorName(structuredEntries, doc);
+  const specialty = extractDoctorSpecialty(structuredEntries, doc);
+  const code = extractDoctorCode(structuredEntries, doc);
+  const phones = collectPhoneNumbers(structuredEntries, doc, city);
+  const { rating, reviewCount, satisfaction } = extractDoctorRatings(structuredEntries, doc);
+  const reviews = extractDoctorReviews(structuredEntries, doc);
 
   return {
-    name: extractDoctorName(structuredEntries),
-    specialty: extractDoctorSpecialty(structuredEntries),
-    code: extractDoctorCode(structuredEntries),
+    name: name.value,
+    specialty: specialty.value,
+    code: code.value,
     city,
     addresses,
-    phones: collectPhoneNumbers(structuredEntries),
+    phones: phones.values,
     offices,
-    url: window.location.href,
+    rating: rating.value,
+    reviewCount: reviewCount.value,
+    satisfaction: satisfaction.value,
+    reviews: reviews.value,
+    url,
+    sources: {
+      name: name.source ? [name.source] : [],
+      specialty: specialty.source ? [specialty.source] : [],
+      code: code.source ? [code.source] : [],
+      city: officeSources.city,
+      addresses: officeSources.addresses,
+      phones: phones.sources,
+      offices: officeSources.offices,
+      rating: rating.source ? [rating.source] : [],
+      reviewCount: reviewCount.source ? [reviewCount.source] : [],
+      satisfaction: satisfaction.source ? [satisfaction.source] : [],
+      reviews: reviews.source ? [reviews.source] : [],
+    },
   };
 }
 
+// HTTP status of the page as loaded in the tab; 0 where the browser does not report it.
+function getPageHttpStatus() {
+  const entry = performance.getEntriesByType?.("navigation")?.[0];
+  return Number.isInteger(entry?.responseStatus) ? entry.responseStatus : 0;
+}
+
+async function scrapeDoctorDetails() {
+  await waitForElement(getSelectorGroup("profileReady"), 8000);
+  await revealPhoneNumbers();
+  await loadAdditionalReviews();
+  return extractDoctorDetails(document, window.location.href);
+}
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (!message || !message.type) {
     return;
   }
 
   if (message.type === "GET_DOCTOR_LINKS") {
+    useSelectorProfile(message.selectorProfile);
     (async () => {
       try {
         const { links, nextPageUrl } = await gatherDoctorLinks();
@@ -1068,6 +1686,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 
   if (message.type === "SCRAPE_DOCTOR_DETAILS") {
+    useSelectorProfile(message.selectorProfile);
+    const httpStatus = getPageHttpStatus();
+    if (httpStatus >= 400) {
+      // An error page (e.g. 404) is reported as such instead of as a profile with nothing on it.
+      sendResponse({ error: `Profile page returned HTTP ${httpStatus}.`, httpStatus });
+      return;
+    }
     (async () => {
       try {
         const data = await scrapeDoctorDetails();
@@ -1,15 +1,52 @@
-const BASE_HEADERS = [
-  { label: "Profile URL", key: "url" },
-  { label: "Name", key: "name" },
-  { label: "Specialty", key: "specialty" },
-  { label: "Code", key: "code" },
-  { label: "City", key: "city" },
-  { label: "Addresses", key: "address" },
-  { label: "Phones", key: "phones" },
-  { label: "Error", key: "error" },
-];
+import { downloadFile } from "./downloads.js";
+import { getOfficeColumnLabel, getSelectedColumns, normaliseExportSchema } from "./export-schema.js";
+import { formatOfficeSchedule } from "./schedule.js";
+
 const UTF8_BOM = "\ufeff";
 
+export const CSV_DIALECT_STORAGE_KEY = "nobatDoctorScraperCsvDialect";
+export const CSV_DELIMITERS = [",", ";", "\t", "|"];
+export const CSV_LINE_ENDINGS = { lf: "\n", crlf: "\r\n" };
+export const DEFAULT_CSV_DIALECT = {
+  delimiter: ",",
+  lineEnding: "lf",
+  quoteAll: false,
+  formulaGuard: true,
+};
+// Spreadsheet apps evaluate cells starting with these characters as formulas (e.g. "+98 21...").
+const FORMULA_PREFIX_PATTERN = /^[=+\-@]/;
+// International phone numbers in phone columns keep their leading "+"; anything else there is still guarded.
+const PHONE_NUMBER_PATTERN = /^\+[\d\s()+;-]+$/;
+// Per-office booking details, exported as extra office columns when any office has them.
+const BOOKING_FIELDS = ["onlineBooking", "phoneConsultation", "onlineConsultation", "nextAvailable"];
+const COORDINATE_FIELDS = ["latitude", "longitude"];
+
+export function normaliseCsvDialect(dialect) {
+  return {
+    delimiter: CSV_DELIMITERS.includes(dialect?.delimiter) ? dialect.delimiter : DEFAULT_CSV_DIALECT.delimiter,
+    lineEnding: dialect?.lineEnding in CSV_LINE_ENDINGS ? dialect.lineEnding : DEFAULT_CSV_DIALECT.lineEnding,
+    quoteAll: typeof dialect?.quoteAll === "boolean" ? dialect.quoteAll : DEFAULT_CSV_DIALECT.quoteAll,
+    formulaGuard:
+      typeof dialect?.formulaGuard === "boolean" ? dialect.formulaGuard : DEFAULT_CSV_DIALECT.formulaGuard,
+  };
+}
+
+export async function loadCsvDialect() {
+  try {
+    const stored = await chrome.storage.local.get(CSV_DIALECT_STORAGE_KEY);
+    return normaliseCsvDialect(stored?.[CSV_DIALECT_STORAGE_KEY]);
+  } catch (error) {
+    console.warn("Failed to load CSV dialect", error);
+    return normaliseCsvDialect(null);
+  }
+}
+
+export async function saveCsvDialect(dialect) {
+  const normalised = normaliseCsvDialect(dialect);
+  await chrome.storage.local.set({ [CSV_DIALECT_STORAGE_KEY]: normalised });
+  return normalised;
+}
+
 function toPrintableValue(value) {
   if (value === undefined || value === null) {
     return "";
@@ -33,7 +70,7 @@ function toPrintableValue(value) {
   return String(value);
 }
 
-function normaliseValue(value) {
+export function normaliseValue(value) {
   if (Array.isArray(value)) {
     const unique = Array.from(
       new Set(
@@ -48,15 +85,39 @@ function normaliseValue(value) {
   return toPrintableValue(value).trim();
 }
 
-function escapeCsvValue(value) {
-  const str = normaliseValue(value);
-  if (/[",\n]/.test(str)) {
+// Optional flags: true/false become "yes"/"no", unknown stays empty.
+export function formatYesNo(value) {
+  if (value === true) {
+    return "yes";
+  }
+  if (value === false) {
+    return "no";
+  }
+  return "";
+}
+
+function escapeCsvValue(value, dialect, isPhoneColumn) {
+  let str = normaliseValue(value);
+  const isPhoneNumber = isPhoneColumn && PHONE_NUMBER_PATTERN.test(str);
+  if (dialect.formulaGuard && !isPhoneNumber && FORMULA_PREFIX_PATTERN.test(str)) {
+    str = `'${str}`;
+  }
+  if (dialect.quoteAll || str.includes(dialect.delimiter) || /["\n\r]/.test(str)) {
     return `"${str.replace(/"/g, '""')}"`;
   }
   return str;
 }
 
-function getOfficeFieldValues(office, pluralKey, singularKey) {
+// phoneColumns lists the indexes of columns holding phone numbers, which are exempt from the formula guard.
+export function convertTableToCsv(headers, rows, csvDialect, { phoneColumns = [] } = {}) {
+  const dialect = normaliseCsvDialect(csvDialect);
+  const lines = [headers, ...rows].map((cells) =>
+    cells.map((cell, index) => escapeCsvValue(cell, dialect, phoneColumns.includes(index))).join(dialect.delimiter)
+  );
+  return lines.join(CSV_LINE_ENDINGS[dialect.lineEnding]);
+}
+
+export function getOfficeFieldValues(office, pluralKey, singularKey) {
   if (!office || typeof office !== "object") {
     return [];
   }
@@ -92,15 +153,14 @@ function getOfficeFieldValues(office, pluralKey, singularKey) {
   return values;
 }
 
-export function convertToCsv(rows) {
-  const normalisedRows = Array.isArray(rows) ? rows : [];
+function collectOfficeMetrics(rows) {
   const officeMetrics = [];
 
-  normalisedRows.forEach((row) => {
+  rows.forEach((row) => {
     const offices = Array.isArray(row?.offices) ? row.offices : [];
     offices.forEach((office, index) => {
       if (!officeMetrics[index]) {
-        officeMetrics[index] = { addressColumns: 0, phoneColumns: 0 };
+        officeMetrics[index] = { addressColumns: 0, phoneColumns: 0, hasSchedule: false, hasBooking: false, hasCoordinates: false };
       }
 
       const addresses = getOfficeFieldValues(office, "addresses", "address");
@@ -114,73 +174,107 @@ export function convertToCsv(rows) {
         officeMetrics[index].phoneColumns,
         phones.length
       );
+      if (Array.isArray(office?.schedule) && office.schedule.length) {
+        officeMetrics[index].hasSchedule = true;
+      }
+      if (BOOKING_FIELDS.some((field) => ![undefined, null, ""].includes(office?.[field]))) {
+        officeMetrics[index].hasBooking = true;
+      }
+      if (typeof office?.latitude === "number" && typeof office?.longitude === "number") {
+        officeMetrics[index].hasCoordinates = true;
+      }
     });
   });
 
-  const dynamicHeaders = [];
+  return officeMetrics;
+}
+
+function buildOfficeHeaders(officeMetrics, language) {
+  const headers = [];
   officeMetrics.forEach((metrics, index) => {
     const position = index + 1;
-    dynamicHeaders.push({ label: `Office ${position} City`, key: `office_${index}_city` });
+    headers.push({ label: getOfficeColumnLabel(language, position, "city") });
 
     const addressColumnCount = Math.max(1, metrics.addressColumns);
     for (let addressIndex = 0; addressIndex < addressColumnCount; addressIndex += 1) {
-      dynamicHeaders.push({
-        label: `Office ${position} Address ${addressIndex + 1}`,
-        key: `office_${index}_address_${addressIndex}`,
-      });
+      headers.push({ label: getOfficeColumnLabel(language, position, "address", addressIndex + 1) });
     }
 
     const phoneColumnCount = Math.max(1, metrics.phoneColumns);
     for (let phoneIndex = 0; phoneIndex < phoneColumnCount; phoneIndex += 1) {
-      dynamicHeaders.push({
-        label: `Office ${position} Phone ${phoneIndex + 1}`,
-        key: `office_${index}_phone_${phoneIndex}`,
-      });
+      headers.push({ label: getOfficeColumnLabel(language, position, "phone", phoneIndex + 1), phone: true });
     }
-  });
-
-  const headers = [...BASE_HEADERS, ...dynamicHeaders];
-  const headerLine = headers.map((header) => header.label).join(",");
 
-  const dataLines = normalisedRows.map((row) => {
-    const offices = Array.isArray(row?.offices) ? row.offices : [];
+    if (metrics.hasSchedule) {
+      headers.push({ label: getOfficeColumnLabel(language, position, "schedule") });
+    }
+    if (metrics.hasBooking) {
+      BOOKING_FIELDS.forEach((field) => headers.push({ label: getOfficeColumnLabel(language, position, field) }));
+    }
+    if (metrics.hasCoordinates) {
+      COORDINATE_FIELDS.forEach((field) => headers.push({ label: getOfficeColumnLabel(language, position, field) }));
+    }
+  });
+  return headers;
+}
 
-    const baseValues = BASE_HEADERS.map((header) => escapeCsvValue(row?.[header.key]));
+function buildOfficeValues(row, officeMetrics, language) {
+  const offices = Array.isArray(row?.offices) ? row.offices : [];
+  const officeValues = [];
 
-    const officeValues = [];
-    officeMetrics.forEach((metrics, index) => {
-      const office = offices[index] || {};
-      officeValues.push(escapeCsvValue(office.city));
+  officeMetrics.forEach((metrics, index) => {
+    const office = offices[index] || {};
+    officeValues.push(office.city);
 
-      const addressValues = getOfficeFieldValues(office, "addresses", "address");
-      const addressColumnCount = Math.max(1, metrics.addressColumns);
-      for (let addressIndex = 0; addressIndex < addressColumnCount; addressIndex += 1) {
-        officeValues.push(escapeCsvValue(addressValues[addressIndex]));
-      }
+    const addressValues = getOfficeFieldValues(office, "addresses", "address");
+    const addressColumnCount = Math.max(1, metrics.addressColumns);
+    for (let addressIndex = 0; addressIndex < addressColumnCount; addressIndex += 1) {
+      officeValues.push(addressValues[addressIndex]);
+    }
 
-      const phoneValues = getOfficeFieldValues(office, "phones", "phone");
-      const phoneColumnCount = Math.max(1, metrics.phoneColumns);
-      for (let phoneIndex = 0; phoneIndex < phoneColumnCount; phoneIndex += 1) {
-        officeValues.push(escapeCsvValue(phoneValues[phoneIndex]));
-      }
-    });
+    const phoneValues = getOfficeFieldValues(office, "phones", "phone");
+    const phoneColumnCount = Math.max(1, metrics.phoneColumns);
+    for (let phoneIndex = 0; phoneIndex < phoneColumnCount; phoneIndex += 1) {
+      officeValues.push(phoneValues[phoneIndex]);
+    }
 
-    return [...baseValues, ...officeValues].join(",");
+    if (metrics.hasSchedule) {
+      officeValues.push(formatOfficeSchedule(office.schedule, language));
+    }
+    if (metrics.hasBooking) {
+      BOOKING_FIELDS.forEach((field) =>
+        officeValues.push(typeof office[field] === "boolean" ? formatYesNo(office[field]) : office[field])
+      );
+    }
+    if (metrics.hasCoordinates) {
+      COORDINATE_FIELDS.forEach((field) => officeValues.push(office[field]));
+    }
   });
 
-  return [headerLine, ...dataLines].join("\n");
+  return officeValues;
 }
 
-function download(options) {
-  return new Promise((resolve, reject) => {
-    chrome.downloads.download(options, (downloadId) => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(chrome.runtime.lastError.message));
-        return;
-      }
-      resolve(downloadId);
-    });
-  });
+export function convertToCsv(rows, { schema, csvDialect } = {}) {
+  const normalisedRows = Array.isArray(rows) ? rows : [];
+  const { language } = normaliseExportSchema(schema);
+  const columns = getSelectedColumns(schema);
+  const officeMetrics = collectOfficeMetrics(normalisedRows);
+
+  const headerCells = columns.flatMap((column) =>
+    column.key === "offices"
+      ? buildOfficeHeaders(officeMetrics, language)
+      : [{ label: column.label, phone: column.key === "phones" }]
+  );
+  const headers = headerCells.map((cell) => cell.label);
+  const phoneColumns = headerCells.flatMap((cell, index) => (cell.phone ? [index] : []));
+
+  const dataRows = normalisedRows.map((row) =>
+    columns.flatMap((column) =>
+      column.key === "offices" ? buildOfficeValues(row, officeMetrics, language) : [row?.[column.key]]
+    )
+  );
+
+  return convertTableToCsv(headers, dataRows, csvDialect, { phoneColumns });
 }
 
 function ensureUtf8Bom(csvContent) {
@@ -191,53 +285,8 @@ function ensureUtf8Bom(csvContent) {
   return csvContent.startsWith(UTF8_BOM) ? csvContent : `${UTF8_BOM}${csvContent}`;
 }
 
-function encodeCsvAsDataUrl(csvText) {
-  return `data:text/csv;charset=utf-8,${encodeURIComponent(csvText)}`;
-}
-
-async function downloadViaBlobUrl(filename, csvText) {
-  let url;
-
-  try {
-    const blob = new Blob([csvText], { type: "text/csv;charset=utf-8" });
-    url = URL.createObjectURL(blob);
-    await download({ url, filename, saveAs: false });
-    // Give the download API time to consume the object URL before revoking it.
-    setTimeout(() => URL.revokeObjectURL(url), 10_000);
-  } catch (error) {
-    if (url) {
-      URL.revokeObjectURL(url);
-    }
-    throw error;
-  }
-}
-
-async function downloadViaDataUrl(filename, csvText, initialError) {
-  const url = encodeCsvAsDataUrl(csvText);
-
-  try {
-    await download({ url, filename, saveAs: false });
-  } catch (error) {
-    if (initialError) {
-      const combinedError = new Error(
-        `Failed to download CSV (blob URL error: ${initialError.message}; data URL fallback: ${error.message})`
-      );
-      combinedError.cause = { blob: initialError, dataUrl: error };
-      throw combinedError;
-    }
-    throw error;
-  }
-}
-
-export async function downloadCsv(filename, rows) {
-  const csvContent = typeof rows === "string" ? rows : convertToCsv(rows);
+export async function downloadCsv(filename, rows, options = {}) {
+  const csvContent = typeof rows === "string" ? rows : convertToCsv(rows, options);
   const csvText = ensureUtf8Bom(csvContent);
-
-  try {
-    await downloadViaBlobUrl(filename, csvText);
-    return;
-  } catch (error) {
-    console.warn("Blob URL download failed, falling back to data URL.", error);
-    await downloadViaDataUrl(filename, csvText, error);
-  }
+  await downloadFile(filename, csvText, "text/csv;charset=utf-8");
 }
@@ -0,0 +1,128 @@
+import { parseIranianPhones } from "./phone-numbers.js";
+
+export const CHANGE_STATUSES = ["new", "changed", "unchanged", "removed"];
+
+const COMPARED_FIELDS = ["name", "specialty", "code", "city", "address", "phones", "offices"];
+
+function comparableValue(value) {
+  if (Array.isArray(value)) {
+    return JSON.stringify(value.map((item) => comparableValue(item)).sort());
+  }
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).sort();
+    return JSON.stringify(keys.map((key) => [key, comparableValue(value[key])]));
+  }
+  return String(value ?? "");
+}
+
+// Offices are compared on a fixed set of keys, reading a key missing from an older stored run as its empty default,
+// so fields added in later versions do not flag every office as changed. The next free appointment is left out
+// because it moves every day.
+const COMPARED_OFFICE_FIELDS = {
+  city: "",
+  addresses: [],
+  phones: [],
+  schedule: [],
+  onlineBooking: null,
+  phoneConsultation: null,
+  onlineConsultation: null,
+  latitude: null,
+  longitude: null,
+};
+
+// Runs saved before phones were stored in E.164 would otherwise show every phone as changed.
+function toComparablePhones(phones, city) {
+  if (!Array.isArray(phones)) {
+    return phones;
+  }
+  const numbers = phones.flatMap((phone) => parseIranianPhones(phone, city).map((parsed) => parsed.number));
+  return Array.from(new Set(numbers));
+}
+
+function toComparableOffice(office) {
+  if (!office || typeof office !== "object") {
+    return office;
+  }
+  const comparable = Object.fromEntries(
+    Object.entries(COMPARED_OFFICE_FIELDS).map(([field, fallback]) => [field, office[field] ?? fallback])
+  );
+  comparable.phones = toComparablePhones(comparable.phones, comparable.city);
+  return comparable;
+}
+
+function comparableField(result, field) {
+  if (field === "offices") {
+    return comparableValue(Array.isArray(result[field]) ? result[field].map(toComparableOffice) : result[field]);
+  }
+  if (field === "phones") {
+    return comparableValue(toComparablePhones(result[field], result.city));
+  }
+  return comparableValue(result[field]);
+}
+
+function diffFields(current, previous) {
+  return COMPARED_FIELDS.filter((field) => comparableField(current, field) !== comparableField(previous, field));
+}
+
+function buildIndex(results, normaliseUrl) {
+  const byUrl = new Map();
+  const byCode = new Map();
+  results.forEach((result) => {
+    const url = normaliseUrl(result.url);
+    if (url && !byUrl.has(url)) {
+      byUrl.set(url, result);
+    }
+    if (result.code && !byCode.has(result.code)) {
+      byCode.set(result.code, result);
+    }
+  });
+  return { byUrl, byCode };
+}
+
+// Matches doctors by profile URL, then by doctor code. Failed rows get an empty `change` because their data
+// cannot be compared, and removals are only detected for complete runs since a partial run saw part of the list.
+export function compareWithPreviousRun(
+  results,
+  previousResults,
+  { normaliseUrl = (url) => url, detectRemoved = true } = {}
+) {
+  const previous = previousResults.filter((result) => !result.error && result.change !== "removed");
+  const { byUrl, byCode } = buildIndex(previous, normaliseUrl);
+  const matched = new Set();
+  const counts = { new: 0, changed: 0, unchanged: 0, removed: 0 };
+
+  const annotated = results.map((result) => {
+    const match = byUrl.get(normaliseUrl(result.url)) || (result.code ? byCode.get(result.code) : undefined);
+    if (result.error) {
+      // Still seen in this run, so its previous row must not come out as removed.
+      if (match) {
+        matched.add(match);
+      }
+      return { ...result, change: "", changedFields: [] };
+    }
+
+    if (!match) {
+      counts.new += 1;
+      return { ...result, change: "new", changedFields: [] };
+    }
+
+    matched.add(match);
+    const changedFields = diffFields(result, match);
+    const change = changedFields.length ? "changed" : "unchanged";
+    counts[change] += 1;
+    return { ...result, change, changedFields };
+  });
+
+  const removed = detectRemoved
+    ? previous
+        .filter((result) => !matched.has(result))
+        .map((result) => ({ ...result, change: "removed", changedFields: [] }))
+    : [];
+  counts.removed = removed.length;
+
+  return { results: annotated, removed, counts };
+}
+
+export function filterChangedRows(rows) {
+  return rows.filter((row) => row.change && row.change !== "unchanged");
+}
@@ -0,0 +1,86 @@
+export const DIAGNOSTIC_FIELDS = [
+  "name",
+  "specialty",
+  "code",
+  "city",
+  "address",
+  "phones",
+  "offices",
+  "rating",
+  "reviewCount",
+  "satisfaction",
+  "reviews",
+];
+
+const BASELINE_RUN_COUNT = 3;
+const MIN_PROFILES = 10;
+const MIN_BASELINE_RATE = 0.5;
+const MAX_RATE_DROP = 0.3;
+
+function isFilled(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  if (typeof value === "number") {
+    return Number.isFinite(value);
+  }
+  return Boolean(value);
+}
+
+// Per-field fill rate over the successfully scraped rows, with a count of the sources that produced each field.
+export function summariseFieldDiagnostics(results) {
+  const rows = (Array.isArray(results) ? results : []).filter(
+    (result) => result && !result.error && result.change !== "removed"
+  );
+
+  const fields = {};
+  DIAGNOSTIC_FIELDS.forEach((field) => {
+    const sources = {};
+    let filled = 0;
+    rows.forEach((row) => {
+      if (!isFilled(row[field])) {
+        return;
+      }
+      filled += 1;
+      const tags = Array.isArray(row.sources?.[field]) && row.sources[field].length ? row.sources[field] : ["unknown"];
+      tags.forEach((tag) => {
+        sources[tag] = (sources[tag] ?? 0) + 1;
+      });
+    });
+    fields[field] = { filled, rate: rows.length ? filled / rows.length : 0, sources };
+  });
+
+  return { profiles: rows.length, fields };
+}
+
+// Average fill rate per field over the most recent runs that scraped enough profiles to be meaningful.
+export function buildDiagnosticsBaseline(runs, { excludeId = null } = {}) {
+  const usable = (Array.isArray(runs) ? runs : [])
+    .filter((run) => run.id !== excludeId && run.diagnostics?.profiles >= MIN_PROFILES)
+    .slice(0, BASELINE_RUN_COUNT);
+  if (!usable.length) {
+    return null;
+  }
+
+  const rates = {};
+  DIAGNOSTIC_FIELDS.forEach((field) => {
+    const values = usable
+      .map((run) => run.diagnostics.fields?.[field]?.rate)
+      .filter((rate) => Number.isFinite(rate));
+    if (values.length) {
+      rates[field] = values.reduce((sum, rate) => sum + rate, 0) / values.length;
+    }
+  });
+  return { runs: usable.length, rates };
+}
+
+export function findFillRateDrops(diagnostics, baseline) {
+  if (!diagnostics || !baseline || diagnostics.profiles < MIN_PROFILES) {
+    return [];
+  }
+  return DIAGNOSTIC_FIELDS.filter((field) => {
+    const baselineRate = baseline.rates[field];
+    const rate = diagnostics.fields[field]?.rate ?? 0;
+    return baselineRate >= MIN_BASELINE_RATE && baselineRate - rate >= MAX_RATE_DROP;
+  }).map((field) => ({ field, rate: diagnostics.fields[field]?.rate ?? 0, baselineRate: baseline.rates[field] }));
+}
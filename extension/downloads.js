@@ -0,0 +1,72 @@
+function download(options) {
+  return new Promise((resolve, reject) => {
+    chrome.downloads.download(options, (downloadId) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve(downloadId);
+    });
+  });
+}
+
+function encodeBase64(bytes) {
+  let binary = "";
+  const chunkSize = 0x8000;
+  for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(offset, offset + chunkSize));
+  }
+  return btoa(binary);
+}
+
+function encodeAsDataUrl(content, mimeType) {
+  if (content instanceof Uint8Array) {
+    return `data:${mimeType};base64,${encodeBase64(content)}`;
+  }
+  return `data:${mimeType},${encodeURIComponent(content)}`;
+}
+
+async function downloadViaBlobUrl(filename, content, mimeType) {
+  let url;
+
+  try {
+    const blob = new Blob([content], { type: mimeType });
+    url = URL.createObjectURL(blob);
+    await download({ url, filename, saveAs: false });
+    // Give the download API time to consume the object URL before revoking it.
+    setTimeout(() => URL.revokeObjectURL(url), 10_000);
+  } catch (error) {
+    if (url) {
+      URL.revokeObjectURL(url);
+    }
+    throw error;
+  }
+}
+
+async function downloadViaDataUrl(filename, content, mimeType, initialError) {
+  const url = encodeAsDataUrl(content, mimeType);
+
+  try {
+    await download({ url, filename, saveAs: false });
+  } catch (error) {
+    if (initialError) {
+      const combinedError = new Error(
+        `Failed to download ${filename} (blob URL error: ${initialError.message}; data URL fallback: ${error.message})`
+      );
+      combinedError.cause = { blob: initialError, dataUrl: error };
+      throw combinedError;
+    }
+    throw error;
+  }
+}
+
+// Service workers have no URL.createObjectURL, so a data URL is the fallback there.
+export async function downloadFile(filename, content, mimeType) {
+  try {
+    await downloadViaBlobUrl(filename, content, mimeType);
+    return;
+  } catch (error) {
+    console.warn("Blob URL download failed, falling back to data URL.", error);
+    await downloadViaDataUrl(filename, content, mimeType, error);
+  }
+}
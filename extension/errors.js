@@ -0,0 +1,76 @@
+// Stable error codes recorded for failed profiles. Only transient classes are retried.
+export const ERROR_CLASSES = {
+  NOT_FOUND: { label: "Profile not found", transient: false },
+  HTTP_CLIENT_ERROR: { label: "Request rejected", transient: false },
+  RATE_LIMITED: { label: "Rate limited", transient: true },
+  SERVER_ERROR: { label: "Server error", transient: true },
+  NETWORK_ERROR: { label: "Network error", transient: true },
+  TIMEOUT: { label: "Timed out", transient: true },
+  TAB_CLOSED: { label: "Tab closed", transient: true },
+  CONTENT_SCRIPT_MISSING: { label: "Content script unavailable", transient: true },
+  EMPTY_EXTRACTION: { label: "Nothing extracted", transient: false },
+  INVALID_URL: { label: "Invalid URL", transient: false },
+  EXTRACTION_FAILED: { label: "Extraction failed", transient: false },
+  UNKNOWN: { label: "Unknown error", transient: false },
+};
+
+export const ERROR_CODES = Object.keys(ERROR_CLASSES);
+
+// Fallback for errors raised by Chrome APIs, which only carry a message.
+const MESSAGE_PATTERNS = [
+  { code: "TAB_CLOSED", pattern: /tab was closed|No tab with id/i },
+  { code: "CONTENT_SCRIPT_MISSING", pattern: /Receiving end does not exist|Could not establish connection/i },
+  { code: "TIMEOUT", pattern: /timed out/i },
+  { code: "NETWORK_ERROR", pattern: /Failed to fetch|NetworkError|net::ERR_/i },
+  { code: "INVALID_URL", pattern: /Invalid doctor profile URL/i },
+  { code: "EMPTY_EXTRACTION", pattern: /No data was returned/i },
+];
+
+export function createError(code, message) {
+  const error = new Error(message);
+  error.code = ERROR_CLASSES[code] ? code : "UNKNOWN";
+  return error;
+}
+
+export function errorCodeForHttpStatus(status) {
+  if (status === 404 || status === 410) {
+    return "NOT_FOUND";
+  }
+  if (status === 408) {
+    return "TIMEOUT";
+  }
+  if (status === 429) {
+    return "RATE_LIMITED";
+  }
+  if (status >= 500) {
+    return "SERVER_ERROR";
+  }
+  return "HTTP_CLIENT_ERROR";
+}
+
+export function classifyError(error) {
+  if (error?.code && ERROR_CLASSES[error.code]) {
+    return error.code;
+  }
+  const message = typeof error === "string" ? error : error?.message || "";
+  const match = MESSAGE_PATTERNS.find(({ pattern }) => pattern.test(message));
+  return match ? match.code : "UNKNOWN";
+}
+
+// Errors reported back by the content script or the offscreen parser: the page's HTTP status when it failed,
+// otherwise the message, with anything unrecognised counted as a failed extraction rather than a flaky one.
+export function classifyReportedError(message, httpStatus = 0) {
+  if (httpStatus >= 400) {
+    return errorCodeForHttpStatus(httpStatus);
+  }
+  const code = classifyError(message);
+  return code === "UNKNOWN" ? "EXTRACTION_FAILED" : code;
+}
+
+export function isTransientError(code) {
+  return (ERROR_CLASSES[code] ?? ERROR_CLASSES.UNKNOWN).transient;
+}
+
+export function getErrorLabel(code) {
+  return (ERROR_CLASSES[code] ?? ERROR_CLASSES.UNKNOWN).label;
+}
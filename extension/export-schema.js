@@ -0,0 +1,156 @@
+export const EXPORT_SCHEMA_STORAGE_KEY = "nobatDoctorScraperExportSchema";
+export const HEADER_LANGUAGES = ["en", "fa"];
+
+// `offices` stands for the whole block of per-office columns, expanded where it sits in the order.
+// `optional` columns are off until enabled on the settings page.
+export const EXPORT_COLUMNS = [
+  { key: "url", labels: { en: "Profile URL", fa: "نشانی پروفایل" } },
+  { key: "name", labels: { en: "Name", fa: "نام" } },
+  { key: "specialty", labels: { en: "Specialty", fa: "تخصص" } },
+  { key: "code", labels: { en: "Code", fa: "کد نظام پزشکی" } },
+  { key: "city", labels: { en: "City", fa: "شهر" } },
+  { key: "address", labels: { en: "Addresses", fa: "نشانی‌ها" } },
+  { key: "phones", labels: { en: "Phones", fa: "تلفن‌ها" } },
+  { key: "phoneTypes", labels: { en: "Phone Types", fa: "نوع تلفن‌ها" } },
+  { key: "rating", labels: { en: "Rating", fa: "امتیاز" } },
+  { key: "reviewCount", labels: { en: "Review Count", fa: "تعداد نظرات" } },
+  { key: "satisfaction", labels: { en: "Satisfaction (%)", fa: "رضایت (٪)" } },
+  { key: "error", labels: { en: "Error", fa: "خطا" } },
+  { key: "errorCode", labels: { en: "Error Code", fa: "کد خطا" } },
+  { key: "change", labels: { en: "Change", fa: "تغییر" } },
+  { key: "changedFields", labels: { en: "Changed Fields", fa: "فیلدهای تغییرکرده" } },
+  { key: "offices", labels: { en: "Office columns", fa: "ستون‌های مطب" } },
+  { key: "nameSource", labels: { en: "Name Source", fa: "منبع نام" }, optional: true },
+  { key: "specialtySource", labels: { en: "Specialty Source", fa: "منبع تخصص" }, optional: true },
+  { key: "codeSource", labels: { en: "Code Source", fa: "منبع کد" }, optional: true },
+  { key: "citySource", labels: { en: "City Source", fa: "منبع شهر" }, optional: true },
+  { key: "addressSource", labels: { en: "Addresses Source", fa: "منبع نشانی‌ها" }, optional: true },
+  { key: "phonesSource", labels: { en: "Phones Source", fa: "منبع تلفن‌ها" }, optional: true },
+  { key: "officesSource", labels: { en: "Offices Source", fa: "منبع مطب‌ها" }, optional: true },
+  { key: "ratingSource", labels: { en: "Rating Source", fa: "منبع امتیاز" }, optional: true },
+  { key: "reviewCountSource", labels: { en: "Review Count Source", fa: "منبع تعداد نظرات" }, optional: true },
+  { key: "satisfactionSource", labels: { en: "Satisfaction Source", fa: "منبع رضایت" }, optional: true },
+];
+
+// Result fields that carry a provenance tag, each exported as an optional `<field>Source` column.
+export const SOURCE_FIELDS = [
+  "name",
+  "specialty",
+  "code",
+  "city",
+  "address",
+  "phones",
+  "offices",
+  "rating",
+  "reviewCount",
+  "satisfaction",
+];
+
+const OFFICE_FIELD_LABELS = {
+  city: { en: "City", fa: "شهر" },
+  address: { en: "Address", fa: "نشانی" },
+  phone: { en: "Phone", fa: "تلفن" },
+  addresses: { en: "Addresses", fa: "نشانی‌ها" },
+  phones: { en: "Phones", fa: "تلفن‌ها" },
+  schedule: { en: "Schedule", fa: "ساعات کاری" },
+  onlineBooking: { en: "Online Booking", fa: "نوبت‌دهی اینترنتی" },
+  phoneConsultation: { en: "Phone Consultation", fa: "مشاوره تلفنی" },
+  onlineConsultation: { en: "Online Consultation", fa: "مشاوره آنلاین" },
+  nextAvailable: { en: "Next Available", fa: "اولین نوبت خالی" },
+  latitude: { en: "Latitude", fa: "عرض جغرافیایی" },
+  longitude: { en: "Longitude", fa: "طول جغرافیایی" },
+  index: { en: "Office", fa: "مطب" },
+  doctorUrl: { en: "Doctor URL", fa: "نشانی پروفایل پزشک" },
+  doctorName: { en: "Doctor Name", fa: "نام پزشک" },
+  doctorCode: { en: "Doctor Code", fa: "کد پزشک" },
+};
+
+const REVIEW_FIELD_LABELS = {
+  index: { en: "Review", fa: "نظر" },
+  date: { en: "Date", fa: "تاریخ" },
+  score: { en: "Score", fa: "امتیاز" },
+  recommended: { en: "Recommended", fa: "پیشنهاد شده" },
+  text: { en: "Text", fa: "متن" },
+};
+
+export const DEFAULT_EXPORT_SCHEMA = {
+  language: "en",
+  columns: EXPORT_COLUMNS.map((column) => ({ key: column.key, enabled: !column.optional })),
+};
+
+const COLUMN_BY_KEY = new Map(EXPORT_COLUMNS.map((column) => [column.key, column]));
+
+function pickLabel(labels, language) {
+  return labels?.[language] || labels?.en || "";
+}
+
+// Keeps the stored order for known columns and appends columns added in newer versions with their default state.
+export function normaliseExportSchema(schema) {
+  const language = HEADER_LANGUAGES.includes(schema?.language) ? schema.language : DEFAULT_EXPORT_SCHEMA.language;
+  const columns = [];
+  const seen = new Set();
+
+  (Array.isArray(schema?.columns) ? schema.columns : []).forEach((column) => {
+    if (!column || !COLUMN_BY_KEY.has(column.key) || seen.has(column.key)) {
+      return;
+    }
+    seen.add(column.key);
+    columns.push({ key: column.key, enabled: column.enabled !== false });
+  });
+
+  DEFAULT_EXPORT_SCHEMA.columns.forEach((column) => {
+    if (!seen.has(column.key)) {
+      columns.push({ ...column });
+    }
+  });
+
+  return { language, columns };
+}
+
+export function getColumnLabel(key, language = DEFAULT_EXPORT_SCHEMA.language) {
+  return pickLabel(COLUMN_BY_KEY.get(key)?.labels, language) || key;
+}
+
+export function getOfficeFieldLabel(field, language = DEFAULT_EXPORT_SCHEMA.language) {
+  return pickLabel(OFFICE_FIELD_LABELS[field], language) || field;
+}
+
+export function getReviewFieldLabel(field, language = DEFAULT_EXPORT_SCHEMA.language) {
+  return pickLabel(REVIEW_FIELD_LABELS[field], language) || field;
+}
+
+// Label for the wide per-office columns, e.g. "Office 2 Phone 1" / "مطب 2 تلفن 1".
+export function getOfficeColumnLabel(language, position, field, fieldPosition) {
+  const parts = [getOfficeFieldLabel("index", language), position, getOfficeFieldLabel(field, language)];
+  if (fieldPosition !== undefined) {
+    parts.push(fieldPosition);
+  }
+  return parts.join(" ");
+}
+
+export function getSelectedColumns(schema) {
+  const normalised = normaliseExportSchema(schema);
+  return normalised.columns
+    .filter((column) => column.enabled)
+    .map((column) => ({ key: column.key, label: getColumnLabel(column.key, normalised.language) }));
+}
+
+export function isColumnSelected(schema, key) {
+  return getSelectedColumns(schema).some((column) => column.key === key);
+}
+
+export async function loadExportSchema() {
+  try {
+    const stored = await chrome.storage.local.get(EXPORT_SCHEMA_STORAGE_KEY);
+    return normaliseExportSchema(stored?.[EXPORT_SCHEMA_STORAGE_KEY]);
+  } catch (error) {
+    console.warn("Failed to load export schema", error);
+    return normaliseExportSchema(null);
+  }
+}
+
+export async function saveExportSchema(schema) {
+  const normalised = normaliseExportSchema(schema);
+  await chrome.storage.local.set({ [EXPORT_SCHEMA_STORAGE_KEY]: normalised });
+  return normalised;
+}
@@ -0,0 +1,64 @@
+import { downloadCsv } from "./csv-export.js";
+import { downloadGeoJson, downloadKml } from "./geo-export.js";
+import { downloadJson, downloadNdjson } from "./json-export.js";
+import { downloadLongFormatZip } from "./long-export.js";
+import { downloadReviewsCsv } from "./reviews-export.js";
+import { downloadXlsx } from "./xlsx-export.js";
+
+// `includesReviews` marks formats that write the full review list, which needs the "more comments" button clicked.
+const EXPORTERS = {
+  csv: { label: "CSV", extension: "csv", download: downloadCsv },
+  json: { label: "JSON", extension: "json", download: downloadJson },
+  ndjson: { label: "JSON Lines", extension: "ndjson", download: downloadNdjson },
+  xlsx: { label: "Excel", extension: "xlsx", download: downloadXlsx },
+  relational: { label: "Relational CSV", extension: "zip", download: downloadLongFormatZip, includesReviews: true },
+  reviews: {
+    label: "Reviews CSV",
+    suffix: "-reviews",
+    extension: "csv",
+    download: downloadReviewsCsv,
+    includesReviews: true,
+  },
+  geojson: { label: "GeoJSON", extension: "geojson", download: downloadGeoJson },
+  kml: { label: "KML", extension: "kml", download: downloadKml },
+};
+
+export const EXPORT_FORMATS = Object.keys(EXPORTERS);
+export const EXPORT_FORMAT_OPTIONS = EXPORT_FORMATS.map((format) => ({
+  format,
+  label: EXPORTERS[format].label,
+}));
+export const DEFAULT_EXPORT_FORMATS = ["csv"];
+
+export function ensureExportFormats(value, fallback = DEFAULT_EXPORT_FORMATS) {
+  const formats = Array.isArray(value) ? value : [value];
+  const unique = Array.from(new Set(formats.filter((format) => EXPORT_FORMATS.includes(format))));
+  return unique.length ? unique : fallback.slice();
+}
+
+export function exportsReviews(formats) {
+  return ensureExportFormats(formats).some((format) => EXPORTERS[format].includesReviews);
+}
+
+// Every requested format is attempted; failures are returned rather than stopping at the first one.
+// An exporter may return a summary line (e.g. offices left off a map), reported once per distinct text.
+export async function exportRows(basename, rows, formats, options = {}) {
+  const failures = [];
+  const summaries = new Map();
+
+  for (const format of ensureExportFormats(formats)) {
+    const exporter = EXPORTERS[format];
+    try {
+      const summary = await exporter.download(`${basename}${exporter.suffix ?? ""}.${exporter.extension}`, rows, options);
+      if (summary) {
+        summaries.set(summary, [...(summaries.get(summary) ?? []), exporter.label]);
+      }
+    } catch (error) {
+      console.error(`Failed to export ${exporter.label}`, error);
+      failures.push({ format, label: exporter.label, message: error.message });
+    }
+  }
+
+  const notes = Array.from(summaries, ([summary, labels]) => `${labels.join(", ")}: ${summary}`);
+  return { failures, notes };
+}
@@ -0,0 +1,142 @@
+import { getOfficeFieldValues, normaliseValue } from "./csv-export.js";
+import { downloadFile } from "./downloads.js";
+import { getOfficeFieldLabel, getSelectedColumns, normaliseExportSchema } from "./export-schema.js";
+import { getPhoneLineType } from "./phone-numbers.js";
+import { escapeXml } from "./xlsx-export.js";
+
+// Every point is an office, so these doctor columns take the office's own values.
+const OFFICE_VALUES = {
+  officeIndex: (row, office, index) => index + 1,
+  city: (row, office) => office?.city || row?.city,
+  address: (row, office) => getOfficeFieldValues(office, "addresses", "address"),
+  phones: (row, office) => getOfficeFieldValues(office, "phones", "phone"),
+  phoneTypes: (row, office) => getOfficeFieldValues(office, "phones", "phone").map(getPhoneLineType),
+};
+
+function hasCoordinates(office) {
+  return Number.isFinite(office?.latitude) && Number.isFinite(office?.longitude);
+}
+
+// Point properties follow the export schema; the office number stands in for the per-office column block.
+function buildGeoColumns(schema) {
+  const { language } = normaliseExportSchema(schema);
+  const officeIndex = { key: "officeIndex", label: getOfficeFieldLabel("index", language) };
+  const columns = getSelectedColumns(schema).map((column) => (column.key === "offices" ? officeIndex : column));
+  return columns.includes(officeIndex) ? columns : [...columns, officeIndex];
+}
+
+function toGeoValue(value) {
+  return typeof value === "number" && Number.isFinite(value) ? value : normaliseValue(value);
+}
+
+function toOfficeProperties(row, office, index, columns) {
+  return columns.map(({ key, label }) => ({
+    key,
+    label,
+    value: toGeoValue(OFFICE_VALUES[key] ? OFFICE_VALUES[key](row, office, index) : row?.[key]),
+  }));
+}
+
+// Splits every office into a map point or an entry in the list of offices that could not be placed.
+export function collectOfficeLocations(rows, { schema } = {}) {
+  const columns = buildGeoColumns(schema);
+  const located = [];
+  const missing = [];
+  (Array.isArray(rows) ? rows : []).forEach((row) => {
+    const offices = Array.isArray(row?.offices) ? row.offices : [];
+    offices.forEach((office, index) => {
+      const location = {
+        title: `${row?.name || row?.url || ""} (${index + 1})`,
+        description: [
+          normaliseValue(OFFICE_VALUES.address(row, office)),
+          normaliseValue(OFFICE_VALUES.phones(row, office)),
+        ]
+          .filter(Boolean)
+          .join("\n"),
+        properties: toOfficeProperties(row, office, index, columns),
+      };
+      if (hasCoordinates(office)) {
+        located.push({ ...location, latitude: office.latitude, longitude: office.longitude });
+      } else {
+        missing.push(location);
+      }
+    });
+  });
+  return { located, missing };
+}
+
+// GeoJSON properties are named by the schema's header labels, like the columns of a CSV export.
+function toGeoJsonProperties(properties) {
+  return Object.fromEntries(properties.map(({ label, value }) => [label, value]));
+}
+
+function formatMissingSummary({ located, missing }) {
+  if (!missing.length) {
+    return "";
+  }
+  const total = located.length + missing.length;
+  return `${missing.length} of ${total} offices have no coordinates and are listed separately in the file.`;
+}
+
+// GeoJSON coordinates are [longitude, latitude]; unplaced offices go in a foreign member rather than being dropped.
+export function convertToGeoJson(rows, options = {}) {
+  const locations = collectOfficeLocations(rows, options);
+  const collection = {
+    type: "FeatureCollection",
+    features: locations.located.map(({ properties, latitude, longitude }) => ({
+      type: "Feature",
+      geometry: { type: "Point", coordinates: [longitude, latitude] },
+      properties: toGeoJsonProperties(properties),
+    })),
+    officesWithoutCoordinates: locations.missing.map(({ properties }) => toGeoJsonProperties(properties)),
+  };
+  return { content: JSON.stringify(collection, null, 2), summary: formatMissingSummary(locations) };
+}
+
+// KML keeps stable field names and shows the schema's labels as their display names.
+function buildPlacemark({ title, description, properties, latitude, longitude }) {
+  const data = properties
+    .map(
+      ({ key, label, value }) =>
+        `<Data name="${key}"><displayName>${escapeXml(label)}</displayName><value>${escapeXml(value)}</value></Data>`
+    )
+    .join("");
+  const point = latitude === undefined ? "" : `<Point><coordinates>${longitude},${latitude}</coordinates></Point>`;
+  return [
+    "<Placemark>",
+    `<name>${escapeXml(title)}</name>`,
+    `<description>${escapeXml(description)}</description>`,
+    `<ExtendedData>${data}</ExtendedData>`,
+    point,
+    "</Placemark>",
+  ].join("");
+}
+
+// Offices without coordinates become placemarks without geometry in their own folder.
+export function convertToKml(rows, options = {}) {
+  const locations = collectOfficeLocations(rows, options);
+  const folders = [`<Folder><name>Offices</name>${locations.located.map(buildPlacemark).join("")}</Folder>`];
+  if (locations.missing.length) {
+    const placemarks = locations.missing.map(buildPlacemark).join("");
+    folders.push(`<Folder><name>Offices without coordinates</name>${placemarks}</Folder>`);
+  }
+  const content = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    `<Document><name>Nobat.ir doctor offices</name>${folders.join("")}</Document>`,
+    "</kml>",
+  ].join("\n");
+  return { content, summary: formatMissingSummary(locations) };
+}
+
+export async function downloadGeoJson(filename, rows, options = {}) {
+  const { content, summary } = convertToGeoJson(rows, options);
+  await downloadFile(filename, content, "application/geo+json;charset=utf-8");
+  return summary;
+}
+
+export async function downloadKml(filename, rows, options = {}) {
+  const { content, summary } = convertToKml(rows, options);
+  await downloadFile(filename, content, "application/vnd.google-earth.kml+xml;charset=utf-8");
+  return summary;
+}
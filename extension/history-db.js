@@ -0,0 +1,117 @@
+const DB_NAME = "nobatDoctorScraper";
+const DB_VERSION = 1;
+const RUNS_STORE = "runs";
+const RESULTS_STORE = "runResults";
+
+let dbPromise = null;
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function waitForTransaction(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error("History transaction was aborted."));
+  });
+}
+
+function openHistoryDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(RUNS_STORE)) {
+          const runs = db.createObjectStore(RUNS_STORE, { keyPath: "id", autoIncrement: true });
+          runs.createIndex("listUrl", "listUrl", { unique: false });
+          runs.createIndex("finishedAt", "finishedAt", { unique: false });
+        }
+        if (!db.objectStoreNames.contains(RESULTS_STORE)) {
+          db.createObjectStore(RESULTS_STORE, { keyPath: "id" });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+// Run metadata and results live in separate stores so listing runs never loads every result set.
+export async function saveRun(run, results) {
+  const db = await openHistoryDb();
+  const transaction = db.transaction([RUNS_STORE, RESULTS_STORE], "readwrite");
+  const id = await promisifyRequest(transaction.objectStore(RUNS_STORE).add(run));
+  transaction.objectStore(RESULTS_STORE).put({ id, results });
+  await waitForTransaction(transaction);
+  return id;
+}
+
+// Overwrites a stored run, used when failed profiles are retried and merged back into it.
+export async function updateRun(id, run, results) {
+  const db = await openHistoryDb();
+  const transaction = db.transaction([RUNS_STORE, RESULTS_STORE], "readwrite");
+  transaction.objectStore(RUNS_STORE).put({ ...run, id });
+  transaction.objectStore(RESULTS_STORE).put({ id, results });
+  await waitForTransaction(transaction);
+  return id;
+}
+
+export async function listRuns() {
+  const db = await openHistoryDb();
+  const transaction = db.transaction(RUNS_STORE, "readonly");
+  const runs = await promisifyRequest(transaction.objectStore(RUNS_STORE).getAll());
+  return runs.sort((a, b) => String(b.finishedAt).localeCompare(String(a.finishedAt)));
+}
+
+export async function getRun(id) {
+  const db = await openHistoryDb();
+  const transaction = db.transaction([RUNS_STORE, RESULTS_STORE], "readonly");
+  const [run, stored] = await Promise.all([
+    promisifyRequest(transaction.objectStore(RUNS_STORE).get(id)),
+    promisifyRequest(transaction.objectStore(RESULTS_STORE).get(id)),
+  ]);
+  if (!run) {
+    return null;
+  }
+  return { ...run, results: Array.isArray(stored?.results) ? stored.results : [] };
+}
+
+export async function getLatestRun() {
+  const db = await openHistoryDb();
+  const transaction = db.transaction(RUNS_STORE, "readonly");
+  const request = transaction.objectStore(RUNS_STORE).index("finishedAt").openCursor(null, "prev");
+  const cursor = await promisifyRequest(request);
+  return cursor ? cursor.value : null;
+}
+
+// Most recent complete run for `listUrl` (finished before `before`, when given); partial runs are skipped
+// because they only saw part of the list.
+export async function getLatestCompleteRunForList(listUrl, { before = null } = {}) {
+  if (!listUrl) {
+    return null;
+  }
+  const db = await openHistoryDb();
+  const transaction = db.transaction(RUNS_STORE, "readonly");
+  const runs = await promisifyRequest(transaction.objectStore(RUNS_STORE).index("listUrl").getAll(listUrl));
+  const latest = runs
+    .filter((run) => !run.partial && (!before || String(run.finishedAt) < String(before)))
+    .sort((a, b) => String(b.finishedAt).localeCompare(String(a.finishedAt)))[0];
+  return latest ? getRun(latest.id) : null;
+}
+
+export async function deleteRun(id) {
+  const db = await openHistoryDb();
+  const transaction = db.transaction([RUNS_STORE, RESULTS_STORE], "readwrite");
+  transaction.objectStore(RUNS_STORE).delete(id);
+  transaction.objectStore(RESULTS_STORE).delete(id);
+  await waitForTransaction(transaction);
+}
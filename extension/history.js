@@ -0,0 +1,189 @@
+const runsElement = document.getElementById("runs");
+const emptyElement = document.getElementById("empty");
+const messageElement = document.getElementById("message");
+
+function sendAction(action, payload) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ action, payload }, (response) => {
+      if (chrome.runtime.lastError) {
+        resolve({ status: "error", message: chrome.runtime.lastError.message });
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
+function showMessage(text, { error = false } = {}) {
+  messageElement.textContent = text;
+  messageElement.classList.toggle("error", error);
+}
+
+function formatDate(value) {
+  if (!value) {
+    return "";
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toLocaleString();
+}
+
+function formatSettings(config = {}) {
+  const parts = [];
+  if (config.delayMs !== undefined) {
+    parts.push(`Delay ${Math.round(config.delayMs / 100) / 10}s`);
+  }
+  if (config.maxRetries !== undefined) {
+    parts.push(`Retries ${config.maxRetries}`);
+  }
+  if (config.concurrency !== undefined) {
+    parts.push(`Tabs ${config.concurrency}`);
+  }
+  if (config.scrapeMode) {
+    parts.push(config.scrapeMode === "fetch" ? "Fetch mode" : "Tab mode");
+  }
+  return parts.join(" · ");
+}
+
+function createCell(content, className) {
+  const cell = document.createElement("td");
+  if (className) {
+    cell.className = className;
+  }
+  if (content instanceof Node) {
+    cell.appendChild(content);
+  } else {
+    cell.textContent = content ?? "";
+  }
+  return cell;
+}
+
+function renderRun(run, formats) {
+  const row = document.createElement("tr");
+
+  const finished = document.createElement("div");
+  finished.textContent = formatDate(run.finishedAt);
+  if (run.partial) {
+    const badge = document.createElement("span");
+    badge.className = "badge";
+    badge.textContent = "partial";
+    finished.append(" ", badge);
+  }
+  const started = document.createElement("div");
+  started.className = "muted";
+  started.textContent = run.startedAt ? `Started ${formatDate(run.startedAt)}` : "";
+  if (run.retriedAt) {
+    started.textContent += ` · failed profiles retried ${formatDate(run.retriedAt)}`;
+  }
+  const finishedCell = createCell(finished);
+  finishedCell.appendChild(started);
+  row.appendChild(finishedCell);
+
+  let listContent = "—";
+  if (run.listUrl) {
+    listContent = document.createElement("a");
+    listContent.href = run.listUrl;
+    listContent.textContent = run.listUrl;
+    listContent.target = "_blank";
+    listContent.rel = "noopener noreferrer";
+  }
+  row.appendChild(createCell(listContent, "list-url"));
+
+  const counts = run.counts || {};
+  const countsContent = document.createElement("div");
+  countsContent.textContent = `${counts.processed ?? 0} / ${counts.total ?? 0} · ${counts.failed ?? 0} failed`;
+  const countsCell = createCell(countsContent);
+  if (run.delta?.previousRunId) {
+    const deltaCounts = run.delta.counts || {};
+    const deltaContent = document.createElement("div");
+    deltaContent.className = "muted";
+    deltaContent.textContent = `${deltaCounts.new ?? 0} new · ${deltaCounts.changed ?? 0} changed · ${deltaCounts.removed ?? 0} removed`;
+    countsCell.appendChild(deltaContent);
+  }
+  row.appendChild(countsCell);
+  row.appendChild(createCell(formatSettings(run.config)));
+
+  const exportContainer = document.createElement("div");
+  const formatContainer = document.createElement("div");
+  formatContainer.className = "formats";
+  const selectedFormats = Array.isArray(run.config?.exportFormats) ? run.config.exportFormats : ["csv"];
+  const checkboxes = formats.map(({ format, label }) => {
+    const wrapper = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.value = format;
+    checkbox.checked = selectedFormats.includes(format);
+    wrapper.append(checkbox, ` ${label}`);
+    formatContainer.appendChild(wrapper);
+    return checkbox;
+  });
+
+  const changesOnlyLabel = document.createElement("label");
+  const changesOnlyInput = document.createElement("input");
+  changesOnlyInput.type = "checkbox";
+  changesOnlyLabel.append(changesOnlyInput, " Changes only");
+  formatContainer.appendChild(changesOnlyLabel);
+
+  const actions = document.createElement("div");
+  actions.className = "actions";
+
+  const exportButton = document.createElement("button");
+  exportButton.textContent = "Download";
+  exportButton.addEventListener("click", async () => {
+    const selected = checkboxes.filter((checkbox) => checkbox.checked).map((checkbox) => checkbox.value);
+    if (!selected.length) {
+      showMessage("Select at least one format to download.", { error: true });
+      return;
+    }
+    exportButton.disabled = true;
+    const response = await sendAction("exportRun", {
+      id: run.id,
+      formats: selected,
+      changesOnly: changesOnlyInput.checked,
+    });
+    exportButton.disabled = false;
+    if (response?.status === "ok") {
+      showMessage([`Run from ${formatDate(run.finishedAt)} exported.`, ...(response.data?.notes ?? [])].join(" "));
+    } else {
+      showMessage(`Export failed: ${response?.message || "Unknown error"}`, { error: true });
+    }
+  });
+
+  const deleteButton = document.createElement("button");
+  deleteButton.className = "stop";
+  deleteButton.textContent = "Delete";
+  deleteButton.addEventListener("click", async () => {
+    if (!window.confirm("Delete this run and its stored results?")) {
+      return;
+    }
+    deleteButton.disabled = true;
+    const response = await sendAction("deleteRun", { id: run.id });
+    if (response?.status === "ok") {
+      showMessage("Run deleted.");
+      await loadRuns();
+    } else {
+      deleteButton.disabled = false;
+      showMessage(`Delete failed: ${response?.message || "Unknown error"}`, { error: true });
+    }
+  });
+
+  actions.append(exportButton, deleteButton);
+  exportContainer.append(formatContainer, actions);
+  row.appendChild(createCell(exportContainer));
+
+  return row;
+}
+
+async function loadRuns() {
+  const response = await sendAction("listRuns");
+  if (response?.status !== "ok") {
+    showMessage(`Failed to load run history: ${response?.message || "Unknown error"}`, { error: true });
+    return;
+  }
+
+  const { runs, formats } = response.data;
+  runsElement.textContent = "";
+  runs.forEach((run) => runsElement.appendChild(renderRun(run, formats)));
+  emptyElement.hidden = runs.length > 0;
+}
+
+loadRuns();
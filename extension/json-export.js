@@ -0,0 +1,94 @@
+import { downloadFile } from "./downloads.js";
+import { SOURCE_FIELDS, getSelectedColumns } from "./export-schema.js";
+import { normaliseOfficeSchedule } from "./schedule.js";
+
+// JSON keys stay machine-readable; only the selection and order of the export schema apply here.
+const JSON_FIELD_BY_COLUMN = { address: "addresses" };
+
+function toList(value) {
+  if (Array.isArray(value)) {
+    return value.slice();
+  }
+  if (value === undefined || value === null || value === "") {
+    return [];
+  }
+  return [value];
+}
+
+function toNumberOrNull(value) {
+  return typeof value === "number" && Number.isFinite(value) ? value : null;
+}
+
+function toBooleanOrNull(value) {
+  return typeof value === "boolean" ? value : null;
+}
+
+function toJsonOffice(office) {
+  return {
+    city: office?.city || "",
+    addresses: toList(office?.addresses ?? office?.address),
+    phones: toList(office?.phones ?? office?.phone),
+    schedule: normaliseOfficeSchedule(office?.schedule),
+    onlineBooking: toBooleanOrNull(office?.onlineBooking),
+    phoneConsultation: toBooleanOrNull(office?.phoneConsultation),
+    onlineConsultation: toBooleanOrNull(office?.onlineConsultation),
+    nextAvailable: office?.nextAvailable || null,
+    latitude: toNumberOrNull(office?.latitude),
+    longitude: toNumberOrNull(office?.longitude),
+  };
+}
+
+// Keeps the nested doctor -> offices -> addresses/phones/schedule shape instead of the flattened CSV columns.
+function toJsonRecord(row) {
+  const offices = Array.isArray(row?.offices) ? row.offices : [];
+  return {
+    url: row?.url || "",
+    name: row?.name || "",
+    specialty: row?.specialty || "",
+    code: row?.code || "",
+    city: row?.city || "",
+    addresses: toList(row?.addresses ?? row?.address),
+    phones: toList(row?.phones),
+    phoneTypes: toList(row?.phoneTypes),
+    offices: offices.map(toJsonOffice),
+    rating: toNumberOrNull(row?.rating),
+    reviewCount: toNumberOrNull(row?.reviewCount),
+    satisfaction: toNumberOrNull(row?.satisfaction),
+    error: row?.error ?? null,
+    errorCode: row?.errorCode || null,
+    change: row?.change || "",
+    changedFields: toList(row?.changedFields),
+    ...Object.fromEntries(SOURCE_FIELDS.map((field) => [`${field}Source`, toList(row?.[`${field}Source`])])),
+  };
+}
+
+function toSelectedJsonRecords(rows, schema) {
+  const fields = getSelectedColumns(schema).map((column) => JSON_FIELD_BY_COLUMN[column.key] || column.key);
+  return (Array.isArray(rows) ? rows : []).map((row) => {
+    const record = toJsonRecord(row);
+    const selected = {};
+    fields.forEach((field) => {
+      if (field in record) {
+        selected[field] = record[field];
+      }
+    });
+    return selected;
+  });
+}
+
+export function convertToJson(rows, { schema } = {}) {
+  return JSON.stringify(toSelectedJsonRecords(rows, schema), null, 2);
+}
+
+export function convertToNdjson(rows, { schema } = {}) {
+  const records = toSelectedJsonRecords(rows, schema);
+  return records.map((record) => `${JSON.stringify(record)}\n`).join("");
+}
+
+export async function downloadJson(filename, rows, options = {}) {
+  await downloadFile(filename, convertToJson(rows, options), "application/json;charset=utf-8");
+}
+
+export async function downloadNdjson(filename, rows, options = {}) {
+  await downloadFile(filename, convertToNdjson(rows, options), "application/x-ndjson;charset=utf-8");
+}
@@ -0,0 +1,116 @@
+import { convertTableToCsv, formatYesNo, getOfficeFieldValues, normaliseValue } from "./csv-export.js";
+import { downloadFile } from "./downloads.js";
+import { SOURCE_FIELDS, getSelectedColumns, isColumnSelected } from "./export-schema.js";
+import { getPhoneLineType } from "./phone-numbers.js";
+import { REVIEW_COLUMNS, convertReviewsToRows } from "./reviews-export.js";
+import { formatOfficeSchedule } from "./schedule.js";
+import { createZip } from "./zip.js";
+
+// Table headers are database column names, so the schema's header language does not apply here.
+const DOCTOR_COLUMNS = [
+  { label: "name", key: "name" },
+  { label: "specialty", key: "specialty" },
+  { label: "code", key: "code" },
+  { label: "city", key: "city" },
+  { label: "rating", key: "rating" },
+  { label: "review_count", key: "reviewCount" },
+  { label: "satisfaction", key: "satisfaction" },
+  { label: "error", key: "error" },
+  { label: "error_code", key: "errorCode" },
+  { label: "change", key: "change" },
+  { label: "changed_fields", key: "changedFields" },
+  ...SOURCE_FIELDS.map((field) => ({
+    label: `${field.replace(/[A-Z]/g, (letter) => `_${letter.toLowerCase()}`)}_source`,
+    key: `${field}Source`,
+  })),
+];
+const DOCTOR_KEY_COLUMN = { label: "doctor_url", key: "url" };
+const OFFICE_COLUMNS = [
+  "doctor_url",
+  "office_index",
+  "city",
+  "address",
+  "schedule",
+  "online_booking",
+  "phone_consultation",
+  "online_consultation",
+  "next_available",
+  "latitude",
+  "longitude",
+];
+const PHONE_COLUMNS = ["doctor_url", "office_index", "phone", "line_type"];
+
+// One row per doctor, per office address, per phone and per review; office_index is 1-based and empty for doctor-level phones.
+export function convertToLongFormat(rows, { schema, csvDialect } = {}) {
+  const normalisedRows = Array.isArray(rows) ? rows : [];
+  const doctorColumns = [
+    DOCTOR_KEY_COLUMN,
+    ...getSelectedColumns(schema)
+      .map((column) => DOCTOR_COLUMNS.find((candidate) => candidate.key === column.key))
+      .filter(Boolean),
+  ];
+  const doctorRows = [];
+  const officeRows = [];
+  const phoneRows = [];
+
+  normalisedRows.forEach((row) => {
+    const url = row?.url || "";
+    doctorRows.push(doctorColumns.map((column) => row?.[column.key]));
+
+    const officePhones = new Set();
+    const offices = Array.isArray(row?.offices) ? row.offices : [];
+    offices.forEach((office, index) => {
+      const officeIndex = index + 1;
+      const addresses = getOfficeFieldValues(office, "addresses", "address");
+      const officeDetails = [
+        formatOfficeSchedule(office?.schedule),
+        formatYesNo(office?.onlineBooking),
+        formatYesNo(office?.phoneConsultation),
+        formatYesNo(office?.onlineConsultation),
+        office?.nextAvailable,
+        office?.latitude,
+        office?.longitude,
+      ];
+      if (!addresses.length) {
+        officeRows.push([url, officeIndex, office?.city, "", ...officeDetails]);
+      }
+      addresses.forEach((address) => officeRows.push([url, officeIndex, office?.city, address, ...officeDetails]));
+
+      getOfficeFieldValues(office, "phones", "phone").forEach((phone) => {
+        officePhones.add(phone);
+        phoneRows.push([url, officeIndex, phone, getPhoneLineType(phone)]);
+      });
+    });
+
+    const doctorPhones = Array.isArray(row?.phones) ? row.phones : [];
+    doctorPhones
+      .map((phone) => normaliseValue(phone))
+      .filter((phone) => phone && !officePhones.has(phone))
+      .forEach((phone) => phoneRows.push([url, "", phone, getPhoneLineType(phone)]));
+  });
+
+  const tables = {
+    doctors: convertTableToCsv(doctorColumns.map((column) => column.label), doctorRows, csvDialect),
+  };
+  if (isColumnSelected(schema, "offices")) {
+    tables.offices = convertTableToCsv(OFFICE_COLUMNS, officeRows, csvDialect);
+  }
+  if (isColumnSelected(schema, "phones") || isColumnSelected(schema, "offices")) {
+    tables.phones = convertTableToCsv(PHONE_COLUMNS, phoneRows, csvDialect, {
+      phoneColumns: [PHONE_COLUMNS.indexOf("phone")],
+    });
+  }
+  const reviewRows = convertReviewsToRows(normalisedRows);
+  if (reviewRows.length) {
+    tables.reviews = convertTableToCsv(REVIEW_COLUMNS, reviewRows, csvDialect);
+  }
+  return tables;
+}
+
+export async function downloadLongFormatZip(filename, rows, options = {}) {
+  const tables = convertToLongFormat(rows, options);
+  const archive = createZip(
+    Object.entries(tables).map(([name, content]) => ({ name: `${name}.csv`, content }))
+  );
+  await downloadFile(filename, archive, "application/zip");
+}
@@ -0,0 +1,35 @@
+// Parses fetched profile HTML with the same extractors the content script runs on live pages.
+// phone-rules.js and content-script.js are loaded before this file, so their helpers are available as globals.
+
+// A tab is only worth opening for data the static HTML is actually missing.
+function profileNeedsScripting(doc, data, { loadAllReviews = false } = {}) {
+  if (!data.name) {
+    return true;
+  }
+  if (findPhoneRevealButtons(doc).length > 0 && !data.phones.length) {
+    return true;
+  }
+  // Further patient comments only load on click, which matters only when an export writes the full list.
+  if (!loadAllReviews || !queryAllSelectorGroup("reviewsLoadMore", doc).length) {
+    return false;
+  }
+  return !Number.isFinite(data.reviewCount) || data.reviews.length < data.reviewCount;
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || message.target !== "offscreen") {
+    return;
+  }
+
+  if (message.type === "PARSE_DOCTOR_PROFILE") {
+    try {
+      useSelectorProfile(message.selectorProfile);
+      const doc = new DOMParser().parseFromString(message.html || "", "text/html");
+      const data = extractDoctorDetails(doc, message.url);
+      sendResponse({ data, needsTab: profileNeedsScripting(doc, data, { loadAllReviews: message.loadAllReviews }) });
+    } catch (error) {
+      console.error("Failed to parse doctor profile HTML", error);
+      sendResponse({ error: error.message });
+    }
+  }
+});
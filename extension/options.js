@@ -0,0 +1,207 @@
+import { DEFAULT_CSV_DIALECT, loadCsvDialect, saveCsvDialect } from "./csv-export.js";
+import {
+  DEFAULT_EXPORT_SCHEMA,
+  getColumnLabel,
+  loadExportSchema,
+  normaliseExportSchema,
+  saveExportSchema,
+} from "./export-schema.js";
+import {
+  loadSelectorProfile,
+  resetSelectorProfile,
+  saveSelectorProfile,
+  validateSelectorProfile,
+} from "./selector-profile.js";
+
+const headerLanguageSelect = document.getElementById("header-language");
+const columnListElement = document.getElementById("column-list");
+const saveExportSchemaButton = document.getElementById("save-export-schema");
+const resetExportSchemaButton = document.getElementById("reset-export-schema");
+const exportSchemaMessageElement = document.getElementById("export-schema-message");
+const csvDelimiterSelect = document.getElementById("csv-delimiter");
+const csvLineEndingSelect = document.getElementById("csv-line-ending");
+const csvQuoteAllInput = document.getElementById("csv-quote-all");
+const csvFormulaGuardInput = document.getElementById("csv-formula-guard");
+const saveCsvDialectButton = document.getElementById("save-csv-dialect");
+const resetCsvDialectButton = document.getElementById("reset-csv-dialect");
+const csvDialectMessageElement = document.getElementById("csv-dialect-message");
+const selectorProfileInput = document.getElementById("selector-profile");
+const saveSelectorProfileButton = document.getElementById("save-selector-profile");
+const resetSelectorProfileButton = document.getElementById("reset-selector-profile");
+const selectorProfileMessageElement = document.getElementById("selector-profile-message");
+
+let exportSchema = normaliseExportSchema(null);
+
+function showMessage(element, text, { error = false } = {}) {
+  element.textContent = text;
+  element.classList.toggle("error", error);
+}
+
+function moveColumn(index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= exportSchema.columns.length) {
+    return;
+  }
+  const columns = exportSchema.columns.slice();
+  const [column] = columns.splice(index, 1);
+  columns.splice(target, 0, column);
+  exportSchema = { ...exportSchema, columns };
+  renderColumns();
+}
+
+function renderColumns() {
+  columnListElement.textContent = "";
+
+  exportSchema.columns.forEach((column, index) => {
+    const item = document.createElement("li");
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = column.enabled;
+    checkbox.id = `column-${column.key}`;
+    checkbox.addEventListener("change", () => {
+      exportSchema.columns[index] = { ...column, enabled: checkbox.checked };
+    });
+
+    const label = document.createElement("label");
+    label.className = "label";
+    label.htmlFor = checkbox.id;
+    label.textContent = getColumnLabel(column.key, exportSchema.language);
+
+    const key = document.createElement("span");
+    key.className = "key";
+    key.textContent = column.key;
+
+    const upButton = document.createElement("button");
+    upButton.className = "small secondary";
+    upButton.textContent = "↑";
+    upButton.title = "Move up";
+    upButton.disabled = index === 0;
+    upButton.addEventListener("click", () => moveColumn(index, -1));
+
+    const downButton = document.createElement("button");
+    downButton.className = "small secondary";
+    downButton.textContent = "↓";
+    downButton.title = "Move down";
+    downButton.disabled = index === exportSchema.columns.length - 1;
+    downButton.addEventListener("click", () => moveColumn(index, 1));
+
+    item.append(checkbox, label, key, upButton, downButton);
+    columnListElement.appendChild(item);
+  });
+}
+
+function renderExportSchema() {
+  headerLanguageSelect.value = exportSchema.language;
+  renderColumns();
+}
+
+headerLanguageSelect.addEventListener("change", () => {
+  exportSchema = { ...exportSchema, language: headerLanguageSelect.value };
+  renderColumns();
+});
+
+saveExportSchemaButton.addEventListener("click", async () => {
+  if (!exportSchema.columns.some((column) => column.enabled)) {
+    showMessage(exportSchemaMessageElement, "Select at least one column.", { error: true });
+    return;
+  }
+  try {
+    exportSchema = await saveExportSchema(exportSchema);
+    renderExportSchema();
+    showMessage(exportSchemaMessageElement, "Export columns saved.");
+  } catch (error) {
+    showMessage(exportSchemaMessageElement, `Failed to save: ${error.message}`, { error: true });
+  }
+});
+
+resetExportSchemaButton.addEventListener("click", async () => {
+  try {
+    exportSchema = await saveExportSchema(DEFAULT_EXPORT_SCHEMA);
+    renderExportSchema();
+    showMessage(exportSchemaMessageElement, "Export columns reset to default.");
+  } catch (error) {
+    showMessage(exportSchemaMessageElement, `Failed to reset: ${error.message}`, { error: true });
+  }
+});
+
+// A literal tab cannot be an <option> value, so the select uses the word "tab".
+function renderCsvDialect(dialect) {
+  csvDelimiterSelect.value = dialect.delimiter === "\t" ? "tab" : dialect.delimiter;
+  csvLineEndingSelect.value = dialect.lineEnding;
+  csvQuoteAllInput.checked = dialect.quoteAll;
+  csvFormulaGuardInput.checked = dialect.formulaGuard;
+}
+
+function readCsvDialect() {
+  return {
+    delimiter: csvDelimiterSelect.value === "tab" ? "\t" : csvDelimiterSelect.value,
+    lineEnding: csvLineEndingSelect.value,
+    quoteAll: csvQuoteAllInput.checked,
+    formulaGuard: csvFormulaGuardInput.checked,
+  };
+}
+
+saveCsvDialectButton.addEventListener("click", async () => {
+  try {
+    renderCsvDialect(await saveCsvDialect(readCsvDialect()));
+    showMessage(csvDialectMessageElement, "CSV format saved.");
+  } catch (error) {
+    showMessage(csvDialectMessageElement, `Failed to save: ${error.message}`, { error: true });
+  }
+});
+
+resetCsvDialectButton.addEventListener("click", async () => {
+  try {
+    renderCsvDialect(await saveCsvDialect(DEFAULT_CSV_DIALECT));
+    showMessage(csvDialectMessageElement, "CSV format reset to default.");
+  } catch (error) {
+    showMessage(csvDialectMessageElement, `Failed to reset: ${error.message}`, { error: true });
+  }
+});
+
+function renderSelectorProfile(profile) {
+  selectorProfileInput.value = JSON.stringify(profile, null, 2);
+}
+
+saveSelectorProfileButton.addEventListener("click", async () => {
+  let profile;
+  try {
+    profile = JSON.parse(selectorProfileInput.value);
+  } catch (error) {
+    showMessage(selectorProfileMessageElement, `Invalid JSON: ${error.message}`, { error: true });
+    return;
+  }
+
+  const errors = validateSelectorProfile(profile);
+  if (errors.length) {
+    showMessage(selectorProfileMessageElement, errors.join("\n"), { error: true });
+    return;
+  }
+
+  try {
+    const saved = await saveSelectorProfile(profile);
+    renderSelectorProfile(saved);
+    showMessage(selectorProfileMessageElement, `Selector profile saved (revision ${saved.revision}).`);
+  } catch (error) {
+    showMessage(selectorProfileMessageElement, `Failed to save: ${error.message}`, { error: true });
+  }
+});
+
+resetSelectorProfileButton.addEventListener("click", async () => {
+  try {
+    renderSelectorProfile(await resetSelectorProfile());
+    showMessage(selectorProfileMessageElement, "Selector profile reset to default.");
+  } catch (error) {
+    showMessage(selectorProfileMessageElement, `Failed to reset: ${error.message}`, { error: true });
+  }
+});
+
+loadExportSchema().then((schema) => {
+  exportSchema = schema;
+  renderExportSchema();
+});
+
+loadCsvDialect().then(renderCsvDialect);
+
+loadSelectorProfile().then(renderSelectorProfile);
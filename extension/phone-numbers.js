@@ -0,0 +1,4 @@
+// Module entry for the phone rules in phone-rules.js, which the content script loads as a classic script.
+import "./phone-rules.js";
+
+export const { PHONE_LINE_TYPES, areaCodeForCity, parseIranianPhones, getPhoneLineType } = globalThis.NobatPhoneRules;
@@ -0,0 +1,222 @@
+// Iranian phone numbers in E.164 with their line type. A classic script so the content script and the offscreen
+// parser can load it directly; phone-numbers.js re-exports the same functions to the service worker and exporters.
+(function (global) {
+  "use strict";
+
+  const PHONE_LINE_TYPES = ["mobile", "landline", "short-code", "unknown"];
+
+  // Two-digit area codes (after the trunk "0") for province capitals and other large cities.
+  const CITY_AREA_CODES = {
+    "تهران": "21",
+    "شهریار": "21",
+    "اسلامشهر": "21",
+    "ورامین": "21",
+    "پردیس": "21",
+    "کرج": "26",
+    "فردیس": "26",
+    "اصفهان": "31",
+    "کاشان": "31",
+    "نجفآباد": "31",
+    "شیراز": "71",
+    "مشهد": "51",
+    "نیشابور": "51",
+    "سبزوار": "51",
+    "تبریز": "41",
+    "اهواز": "61",
+    "دزفول": "61",
+    "آبادان": "61",
+    "قم": "25",
+    "کرمانشاه": "83",
+    "ارومیه": "44",
+    "رشت": "13",
+    "زاهدان": "54",
+    "کرمان": "34",
+    "رفسنجان": "34",
+    "همدان": "81",
+    "یزد": "35",
+    "اردبیل": "45",
+    "بندرعباس": "76",
+    "اراک": "86",
+    "ساوه": "86",
+    "زنجان": "24",
+    "سنندج": "87",
+    "قزوین": "28",
+    "خرمآباد": "66",
+    "گرگان": "17",
+    "ساری": "11",
+    "آمل": "11",
+    "بابل": "11",
+    "بجنورد": "58",
+    "بیرجند": "56",
+    "بوشهر": "77",
+    "ایلام": "84",
+    "شهرکرد": "38",
+    "یاسوج": "74",
+    "سمنان": "23",
+    "شاهرود": "23",
+  };
+  const AREA_CODES = new Set([
+    "11", "13", "17", "21", "23", "24", "25", "26", "28", "31", "34", "35", "38", "41", "44", "45",
+    "51", "54", "56", "58", "61", "66", "71", "74", "76", "77", "81", "83", "84", "86", "87",
+  ]);
+  // Longest names first so "کرمانشاه" is not read as "کرمان".
+  const CITY_NAMES = Object.keys(CITY_AREA_CODES).sort((a, b) => b.length - a.length);
+
+  function convertDigits(value) {
+    return String(value ?? "")
+      .replace(/[۰-۹]/g, (digit) => String(digit.charCodeAt(0) - 0x06f0))
+      .replace(/[٠-٩]/g, (digit) => String(digit.charCodeAt(0) - 0x0660));
+  }
+
+  function normaliseCityKey(city) {
+    return String(city ?? "")
+      .replace(/[‌\s]/g, "")
+      .replace(/ي/g, "ی")
+      .replace(/ك/g, "ک");
+  }
+
+  function areaCodeForCity(city) {
+    const key = normaliseCityKey(city);
+    if (!key) {
+      return "";
+    }
+    const name = CITY_AREA_CODES[key] ? key : CITY_NAMES.find((candidate) => key.includes(candidate));
+    return name ? CITY_AREA_CODES[name] : "";
+  }
+
+  function classifyNationalNumber(national) {
+    if (/^09\d{9}$/.test(national)) {
+      return { national, type: "mobile" };
+    }
+    if (/^0\d{10}$/.test(national) && AREA_CODES.has(national.slice(1, 3))) {
+      return { national, type: "landline" };
+    }
+    return null;
+  }
+
+  // Recognises a complete number: +98/0098, trunk "0", without the trunk, an 8-digit local line or a 4-6 digit short code.
+  function classifyDigits(digits) {
+    if (/^98\d{10}$/.test(digits)) {
+      return classifyNationalNumber(`0${digits.slice(2)}`);
+    }
+    if (/^0\d{10}$/.test(digits)) {
+      return classifyNationalNumber(digits);
+    }
+    if (/^[1-9]\d{9}$/.test(digits)) {
+      return classifyNationalNumber(`0${digits}`);
+    }
+    if (/^[2-9]\d{7}$/.test(digits)) {
+      return { national: digits, type: "landline", local: true };
+    }
+    if (/^1\d{3,5}$/.test(digits)) {
+      return { national: digits, type: "short-code" };
+    }
+    return null;
+  }
+
+  // Postal codes and building plates sit next to phones in office text and would read as landlines or short codes.
+  const NON_PHONE_NUMBER_PATTERN =
+    /(?:کد[\s\u200c]*پستی|postal\s*code|zip(?:\s*code)?)\s*:?\s*(?:\d{5}[\s\-]?\d{5}|\d+)|(?:پلاک|plate)\s*:?\s*\d+/gi;
+  const PHONE_TEXT_PATTERN = /^[+\d\s\-–.()]+$/;
+
+  // Digit runs with a flag for whether they continue the previous run (only spaces, dashes, dots or brackets between).
+  function toDigitGroups(value) {
+    const text = convertDigits(value)
+      .replace(/(?:داخلی|ext\.?|extension)\s*:?\s*\d+/gi, " ")
+      .replace(NON_PHONE_NUMBER_PATTERN, " ")
+      .replace(/(^|\D)00(?=\s*98)/g, "$1 ");
+    const groups = [];
+    let previousEnd = -1;
+    for (const match of text.matchAll(/\d+/g)) {
+      const separator = previousEnd < 0 ? "" : text.slice(previousEnd, match.index);
+      groups.push({ digits: match[0], joinsPrevious: /^[\s\-–.()]+$/.test(separator) });
+      previousEnd = match.index + match[0].length;
+    }
+    return groups;
+  }
+
+  // Joins digit runs ("021 8877 6655") into the longest complete number, skipping runs that start none.
+  function splitPhoneDigits(value) {
+    const groups = toDigitGroups(value);
+    const numbers = [];
+    let start = 0;
+    while (start < groups.length) {
+      let digits = "";
+      let match = null;
+      for (let end = start; end < groups.length; end += 1) {
+        if ((end > start && !groups[end].joinsPrevious) || digits.length + groups[end].digits.length > 12) {
+          break;
+        }
+        digits += groups[end].digits;
+        if (classifyDigits(digits)) {
+          match = { digits, end };
+        }
+      }
+      if (match) {
+        numbers.push(match.digits);
+        start = match.end + 1;
+      } else {
+        start += 1;
+      }
+    }
+    return numbers;
+  }
+
+  // Local 8-digit lines get the area code of the office city; without a known city they stay local.
+  function toPhoneRecord(digits, city) {
+    const { national, type, local } = classifyDigits(digits);
+    if (type === "short-code") {
+      return { number: national, type };
+    }
+    if (local) {
+      const areaCode = areaCodeForCity(city);
+      return { number: areaCode ? `+98${areaCode}${national}` : national, type };
+    }
+    return { number: `+98${national.slice(1)}`, type };
+  }
+
+  // Foreign or unrecognised numbers are kept as digits (with "+" for international ones) rather than dropped,
+  // as long as the text holds nothing but the number.
+  function toUnknownPhone(text) {
+    if (!PHONE_TEXT_PATTERN.test(text)) {
+      return [];
+    }
+    const digits = text.replace(/\D/g, "");
+    if (digits.length < 7 || digits.length > 15) {
+      return [];
+    }
+    return [{ number: /^(?:\+|00)/.test(text) ? `+${digits.replace(/^00/, "")}` : digits, type: "unknown" }];
+  }
+
+  // Every number found in a text, as { number, type }. Short codes look like years, plates and counts in free text,
+  // so they are only taken from a text that is nothing but the number unless the caller trusts the source
+  // (tel: links, data attributes).
+  function parseIranianPhones(value, city = "", { allowShortCodes = false } = {}) {
+    const text = convertDigits(value).trim();
+    if (/^(?:\+|00)(?!\s*98)\s*\d/.test(text)) {
+      return toUnknownPhone(text);
+    }
+
+    const records = [];
+    const seen = new Set();
+    const onlyNumber = PHONE_TEXT_PATTERN.test(text) ? text.replace(/\D/g, "") : "";
+    splitPhoneDigits(value).forEach((digits) => {
+      const record = toPhoneRecord(digits, city);
+      if (record.type === "short-code" && !allowShortCodes && onlyNumber !== digits) {
+        return;
+      }
+      if (!seen.has(record.number)) {
+        seen.add(record.number);
+        records.push(record);
+      }
+    });
+    return records.length ? records : toUnknownPhone(text);
+  }
+
+  function getPhoneLineType(number) {
+    const records = parseIranianPhones(number);
+    return records.length === 1 ? records[0].type : "unknown";
+  }
+
+  global.NobatPhoneRules = { PHONE_LINE_TYPES, areaCodeForCity, parseIranianPhones, getPhoneLineType };
+})(globalThis);
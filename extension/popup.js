@@ -1,26 +1,55 @@
 const DEFAULT_DELAY_SECONDS = 2.5;
 const DEFAULT_MAX_RETRIES = 2;
 const MAX_RETRIES_LIMIT = 5;
+const DEFAULT_CONCURRENCY = 1;
+const MAX_CONCURRENCY_LIMIT = 5;
+const SCRAPE_MODES = ["tab", "fetch"];
+const DEFAULT_EXPORT_FORMATS = ["csv"];
 
 const startButton = document.getElementById("start");
 const stopButton = document.getElementById("stop");
+const pauseButton = document.getElementById("pause");
+const resumeRunButton = document.getElementById("resume-run");
 const statusElement = document.getElementById("status");
 const progressElement = document.getElementById("progress");
+const throttleElement = document.getElementById("throttle");
 const errorsElement = document.getElementById("errors");
 const delayInput = document.getElementById("delay");
 const retriesInput = document.getElementById("retries");
+const concurrencyInput = document.getElementById("concurrency");
+const scrapeModeSelect = document.getElementById("scrape-mode");
+const exportFormatsElement = document.getElementById("export-formats");
+const exportFormatInputs = Array.from(exportFormatsElement.querySelectorAll("input[name='export-format']"));
+const changesOnlyInput = document.getElementById("changes-only");
 const lastDoctorElement = document.getElementById("last-doctor");
 const retryElement = document.getElementById("retry");
+const openSettingsLink = document.getElementById("open-settings");
+const openHistoryLink = document.getElementById("open-history");
+const retryFailedButton = document.getElementById("retry-failed");
+const fillRateWarningElement = document.getElementById("fill-rate-warning");
+const diagnosticsElement = document.getElementById("diagnostics");
+const diagnosticsBodyElement = document.getElementById("diagnostics-body");
 
 stopButton.disabled = true;
+pauseButton.disabled = true;
 errorsElement.style.display = "none";
 lastDoctorElement.style.display = "none";
 retryElement.style.display = "none";
+throttleElement.style.display = "none";
 progressElement.textContent = "";
 
-function updateButtons(isScraping) {
+// Last `isPaused` reported by the service worker; decides what the pause button asks for.
+let runIsPaused = false;
+
+function updateButtons(isScraping, isPaused = false) {
+  runIsPaused = Boolean(isScraping && isPaused);
   startButton.disabled = !!isScraping;
   stopButton.disabled = !isScraping;
+  pauseButton.disabled = !isScraping;
+  // "Continue" rather than "Resume", which is the label of the checkpoint button.
+  pauseButton.textContent = runIsPaused ? "Continue" : "Pause";
+  resumeRunButton.disabled = !!isScraping;
+  retryFailedButton.disabled = !!isScraping;
 }
 
 function clamp(value, min, max) {
@@ -43,6 +72,19 @@ function parseRetriesInput() {
   return clamp(Math.round(value), 0, MAX_RETRIES_LIMIT);
 }
 
+function parseConcurrencyInput() {
+  const value = parseInt(concurrencyInput.value, 10);
+  if (!Number.isFinite(value) || value < 1) {
+    return DEFAULT_CONCURRENCY;
+  }
+  return clamp(Math.round(value), 1, MAX_CONCURRENCY_LIMIT);
+}
+
+function parseExportFormatInputs() {
+  const formats = exportFormatInputs.filter((input) => input.checked).map((input) => input.value);
+  return formats.length ? formats : DEFAULT_EXPORT_FORMATS.slice();
+}
+
 function formatErrors(errors = []) {
   if (!Array.isArray(errors) || !errors.length) {
     return "";
@@ -63,7 +105,7 @@ function formatErrors(errors = []) {
         parts.push(error.message);
       }
       const text = parts.join(" - ") || "Unknown error";
-      return `• ${text}`;
+      return error.code ? `• [${error.code}] ${text}` : `• ${text}`;
     })
     .filter(Boolean)
     .join("\n");
@@ -89,6 +131,33 @@ function setRetriesInputValue(retries) {
   retriesInput.value = value.toString();
 }
 
+function setConcurrencyInputValue(concurrency) {
+  if (document.activeElement === concurrencyInput) {
+    return;
+  }
+  const value = Number.isFinite(concurrency)
+    ? clamp(Math.round(concurrency), 1, MAX_CONCURRENCY_LIMIT)
+    : DEFAULT_CONCURRENCY;
+  concurrencyInput.value = value.toString();
+}
+
+function setScrapeModeValue(scrapeMode) {
+  if (document.activeElement === scrapeModeSelect) {
+    return;
+  }
+  scrapeModeSelect.value = SCRAPE_MODES.includes(scrapeMode) ? scrapeMode : SCRAPE_MODES[0];
+}
+
+function setExportFormatValues(formats) {
+  if (exportFormatsElement.contains(document.activeElement)) {
+    return;
+  }
+  const selected = Array.isArray(formats) && formats.length ? formats : DEFAULT_EXPORT_FORMATS;
+  exportFormatInputs.forEach((input) => {
+    input.checked = selected.includes(input.value);
+  });
+}
+
 function renderLastDoctor(lastDoctor) {
   if (!lastDoctor || (!lastDoctor.name && !lastDoctor.url)) {
     lastDoctorElement.textContent = "";
@@ -115,6 +184,106 @@ function renderLastDoctor(lastDoctor) {
   lastDoctorElement.style.display = "block";
 }
 
+function renderResumable(resumable, isScraping) {
+  if (isScraping || !resumable || !resumable.total) {
+    resumeRunButton.style.display = "none";
+    resumeRunButton.title = "";
+    return;
+  }
+
+  const processed = Number(resumable.processed) || 0;
+  resumeRunButton.textContent = `Resume previous run (${processed} / ${resumable.total})`;
+  resumeRunButton.title = resumable.listUrl || "";
+  resumeRunButton.style.display = "block";
+}
+
+function renderRetryable(retryable, isScraping) {
+  if (isScraping || !retryable || !retryable.failed) {
+    retryFailedButton.style.display = "none";
+    retryFailedButton.title = "";
+    return;
+  }
+
+  retryFailedButton.textContent = `Retry failed profiles (${retryable.failed})`;
+  retryFailedButton.title = retryable.listUrl || "";
+  retryFailedButton.style.display = "block";
+}
+
+function renderThrottle(throttle) {
+  if (!throttle || !Number.isFinite(throttle.effectiveDelayMs)) {
+    throttleElement.textContent = "";
+    throttleElement.style.display = "none";
+    return;
+  }
+
+  const parts = [`Effective delay: ${formatDelaySeconds(throttle.effectiveDelayMs)}s`];
+  if (throttle.backingOff) {
+    parts.push("backing off");
+  }
+  if (Number.isFinite(throttle.averageLoadMs)) {
+    parts.push(`avg. load ${formatDelaySeconds(throttle.averageLoadMs)}s`);
+  }
+  throttleElement.textContent = parts.join(" · ");
+  throttleElement.style.display = "block";
+}
+
+function formatErrorSummary(summary = []) {
+  if (!Array.isArray(summary) || !summary.length) {
+    return "";
+  }
+  return summary.map((entry) => `${entry.label || entry.code}: ${entry.count}`).join(" · ");
+}
+
+function formatRate(rate) {
+  return Number.isFinite(rate) ? `${Math.round(rate * 100)}%` : "—";
+}
+
+function renderFieldDiagnostics(fieldDiagnostics) {
+  const diagnostics = fieldDiagnostics?.diagnostics;
+  const warnings = Array.isArray(fieldDiagnostics?.warnings) ? fieldDiagnostics.warnings : [];
+
+  if (warnings.length) {
+    const lines = warnings.map(
+      (warning) => `• ${warning.field}: ${formatRate(warning.rate)} filled (usually ${formatRate(warning.baselineRate)})`
+    );
+    fillRateWarningElement.textContent = `Fill rate dropped sharply — selectors may be broken:\n${lines.join("\n")}`;
+    fillRateWarningElement.style.display = "block";
+  } else {
+    fillRateWarningElement.textContent = "";
+    fillRateWarningElement.style.display = "none";
+  }
+
+  diagnosticsBodyElement.textContent = "";
+  if (!diagnostics || !diagnostics.profiles) {
+    diagnosticsElement.style.display = "none";
+    return;
+  }
+
+  const baselineRates = fieldDiagnostics.baselineRates || {};
+  Object.entries(diagnostics.fields || {}).forEach(([field, entry]) => {
+    const row = document.createElement("tr");
+    const sources = Object.entries(entry.sources || {})
+      .sort((a, b) => b[1] - a[1])
+      .map(([source, count]) => `${source} ×${count}`)
+      .join(", ");
+    [
+      field,
+      `${entry.filled} / ${diagnostics.profiles} (${formatRate(entry.rate)})`,
+      formatRate(baselineRates[field]),
+      sources || "—",
+    ].forEach((text, index) => {
+      const cell = document.createElement("td");
+      cell.textContent = text;
+      if (index === 3) {
+        cell.className = "sources";
+      }
+      row.appendChild(cell);
+    });
+    diagnosticsBodyElement.appendChild(row);
+  });
+  diagnosticsElement.style.display = "block";
+}
+
 function applyStatus(status) {
   if (!status) {
     statusElement.textContent = "Status: Unknown";
@@ -125,6 +294,10 @@ function applyStatus(status) {
     lastDoctorElement.style.display = "none";
     errorsElement.textContent = "";
     errorsElement.style.display = "none";
+    renderResumable(null, false);
+    renderRetryable(null, false);
+    renderThrottle(null);
+    renderFieldDiagnostics(null);
     updateButtons(false);
     return;
   }
@@ -152,7 +325,9 @@ function applyStatus(status) {
   const errorText = formatErrors(status.errors);
   if (errorText) {
     const errorCount = Array.isArray(status.errors) ? status.errors.length : 0;
-    errorsElement.textContent = `Errors (${errorCount}):\n${errorText}`;
+    const summaryText = formatErrorSummary(status.errorSummary);
+    const heading = summaryText ? `Errors (${errorCount}) — ${summaryText}` : `Errors (${errorCount})`;
+    errorsElement.textContent = `${heading}:\n${errorText}`;
     errorsElement.style.display = "block";
   } else {
     errorsElement.textContent = "";
@@ -168,10 +343,20 @@ function applyStatus(status) {
   }
 
   renderLastDoctor(status.lastDoctor);
+  renderResumable(status.resumable, isScraping);
+  renderRetryable(status.retryable, isScraping);
+  renderThrottle(isScraping ? status.throttle : null);
+  renderFieldDiagnostics(status.fieldDiagnostics);
   setDelayInputValue(status.delayMs);
   setRetriesInputValue(status.maxRetries);
+  setConcurrencyInputValue(status.concurrency);
+  setScrapeModeValue(status.scrapeMode);
+  setExportFormatValues(status.exportFormats);
+  if (document.activeElement !== changesOnlyInput) {
+    changesOnlyInput.checked = status.changesOnly === true;
+  }
 
-  updateButtons(isScraping);
+  updateButtons(isScraping, Boolean(status.isPaused));
 }
 
 function sendAction(action, payload) {
@@ -186,16 +371,30 @@ function sendAction(action, payload) {
   });
 }
 
-async function persistConfig() {
+function readConfigInputs() {
   const delaySeconds = parseDelayInput();
   const maxRetries = parseRetriesInput();
+  const concurrency = parseConcurrencyInput();
   delayInput.value = delaySeconds.toString();
   retriesInput.value = maxRetries.toString();
+  concurrencyInput.value = concurrency.toString();
+  const exportFormats = parseExportFormatInputs();
+  exportFormatInputs.forEach((input) => {
+    input.checked = exportFormats.includes(input.value);
+  });
 
-  await sendAction("updateConfig", {
+  return {
     delayMs: Math.round(delaySeconds * 1000),
     maxRetries,
-  });
+    concurrency,
+    scrapeMode: SCRAPE_MODES.includes(scrapeModeSelect.value) ? scrapeModeSelect.value : SCRAPE_MODES[0],
+    exportFormats,
+    changesOnly: changesOnlyInput.checked,
+  };
+}
+
+async function persistConfig() {
+  await sendAction("updateConfig", readConfigInputs());
 }
 
 async function refreshStatus() {
@@ -210,16 +409,8 @@ async function refreshStatus() {
 
 startButton.addEventListener("click", async () => {
   updateButtons(true);
-  const delaySeconds = parseDelayInput();
-  const maxRetries = parseRetriesInput();
-
-  delayInput.value = delaySeconds.toString();
-  retriesInput.value = maxRetries.toString();
 
-  const response = await sendAction("startScraping", {
-    delayMs: Math.round(delaySeconds * 1000),
-    maxRetries,
-  });
+  const response = await sendAction("startScraping", readConfigInputs());
 
   if (!response) {
     statusElement.textContent = "Status: Failed to communicate with background script.";
@@ -242,9 +433,81 @@ startButton.addEventListener("click", async () => {
   await refreshStatus();
 });
 
+resumeRunButton.addEventListener("click", async () => {
+  updateButtons(true);
+
+  const response = await sendAction("resumeScraping");
+
+  if (!response) {
+    statusElement.textContent = "Status: Failed to communicate with background script.";
+    updateButtons(false);
+    return;
+  }
+
+  if (response.status === "resumed") {
+    statusElement.textContent = "Status: Resuming previous run.";
+  } else if (response.status === "no-checkpoint") {
+    statusElement.textContent = "Status: No previous run to resume.";
+    updateButtons(false);
+  } else if (response.status === "already-running") {
+    statusElement.textContent = "Status: Scraping is already running.";
+  } else if (response.status === "error") {
+    statusElement.textContent = `Status: ${response.message}`;
+    updateButtons(false);
+  }
+
+  await refreshStatus();
+});
+
+retryFailedButton.addEventListener("click", async () => {
+  updateButtons(true);
+
+  const response = await sendAction("retryFailed", readConfigInputs());
+
+  if (!response) {
+    statusElement.textContent = "Status: Failed to communicate with background script.";
+    updateButtons(false);
+    return;
+  }
+
+  if (response.status === "started") {
+    statusElement.textContent = `Status: Retrying ${response.total} failed profiles.`;
+  } else if (response.status === "no-run") {
+    statusElement.textContent = "Status: No stored run to retry.";
+    updateButtons(false);
+  } else if (response.status === "no-failures") {
+    statusElement.textContent = "Status: The last run has no failed profiles.";
+    updateButtons(false);
+  } else if (response.status === "already-running") {
+    statusElement.textContent = "Status: Scraping is already running.";
+  } else if (response.status === "error") {
+    statusElement.textContent = `Status: ${response.message}`;
+    updateButtons(false);
+  }
+
+  await refreshStatus();
+});
+
+pauseButton.addEventListener("click", async () => {
+  pauseButton.disabled = true;
+
+  const response = await sendAction(runIsPaused ? "continueScraping" : "pauseScraping");
+
+  if (response?.status === "pausing") {
+    statusElement.textContent = "Status: Pause requested. Waiting for the current profile...";
+  } else if (response?.status === "continued") {
+    statusElement.textContent = "Status: Continuing.";
+  } else if (response?.status === "error") {
+    statusElement.textContent = `Status: ${response.message}`;
+  }
+
+  await refreshStatus();
+});
+
 stopButton.addEventListener("click", async () => {
   startButton.disabled = true;
   stopButton.disabled = true;
+  pauseButton.disabled = true;
 
   const response = await sendAction("stopScraping");
 
@@ -267,6 +530,34 @@ retriesInput.addEventListener("change", () => {
   persistConfig().catch(() => {});
 });
 
+concurrencyInput.addEventListener("change", () => {
+  persistConfig().catch(() => {});
+});
+
+scrapeModeSelect.addEventListener("change", () => {
+  persistConfig().catch(() => {});
+});
+
+exportFormatInputs.forEach((input) => {
+  input.addEventListener("change", () => {
+    persistConfig().catch(() => {});
+  });
+});
+
+changesOnlyInput.addEventListener("change", () => {
+  persistConfig().catch(() => {});
+});
+
+openSettingsLink.addEventListener("click", (event) => {
+  event.preventDefault();
+  chrome.runtime.openOptionsPage();
+});
+
+openHistoryLink.addEventListener("click", (event) => {
+  event.preventDefault();
+  chrome.tabs.create({ url: chrome.runtime.getURL("history.html") });
+});
+
 chrome.runtime.onMessage.addListener((message) => {
   if (message?.type === "SCRAPE_STATUS") {
     applyStatus(message.payload);
@@ -0,0 +1,41 @@
+import { convertTableToCsv, downloadCsv, formatYesNo } from "./csv-export.js";
+import { getReviewFieldLabel, getSelectedColumns, normaliseExportSchema } from "./export-schema.js";
+
+// Database column names for the relational bundle, which keeps its headers independent of the export schema.
+export const REVIEW_COLUMNS = ["doctor_url", "review_index", "date", "score", "recommended", "text"];
+const REVIEW_FIELDS = ["index", "date", "score", "recommended", "text"];
+// Doctor columns that identify whose review a row is, when selected in the export schema.
+const REVIEW_DOCTOR_KEYS = ["url", "name", "code"];
+
+function toReviewValues(review, index) {
+  return [index + 1, review?.date, review?.score, formatYesNo(review?.recommended), review?.text];
+}
+
+function flatMapReviews(rows, toRow) {
+  return (Array.isArray(rows) ? rows : []).flatMap((row) => {
+    const reviews = Array.isArray(row?.reviews) ? row.reviews : [];
+    return reviews.map((review, index) => toRow(row, toReviewValues(review, index)));
+  });
+}
+
+// One row per patient review, keyed by the doctor's profile URL; review_index is 1-based in page order.
+export function convertReviewsToRows(rows) {
+  return flatMapReviews(rows, (row, values) => [row.url || "", ...values]);
+}
+
+// The standalone file follows the export schema: the selected doctor columns in their order, then the review
+// fields, all headed in the schema's language.
+export function convertReviewsToCsv(rows, { schema, csvDialect } = {}) {
+  const { language } = normaliseExportSchema(schema);
+  const doctorColumns = getSelectedColumns(schema).filter((column) => REVIEW_DOCTOR_KEYS.includes(column.key));
+  const headers = [
+    ...doctorColumns.map((column) => column.label),
+    ...REVIEW_FIELDS.map((field) => getReviewFieldLabel(field, language)),
+  ];
+  const tableRows = flatMapReviews(rows, (row, values) => [...doctorColumns.map((column) => row?.[column.key]), ...values]);
+  return convertTableToCsv(headers, tableRows, csvDialect);
+}
+
+export async function downloadReviewsCsv(filename, rows, options = {}) {
+  await downloadCsv(filename, convertReviewsToCsv(rows, options));
+}
@@ -0,0 +1,48 @@
+// Office working hours as { day, from, to } entries; days use the Iranian week order, times are 24-hour "HH:MM".
+export const WEEKDAYS = ["saturday", "sunday", "monday", "tuesday", "wednesday", "thursday", "friday"];
+
+const WEEKDAY_LABELS = {
+  saturday: { en: "Sat", fa: "شنبه" },
+  sunday: { en: "Sun", fa: "یکشنبه" },
+  monday: { en: "Mon", fa: "دوشنبه" },
+  tuesday: { en: "Tue", fa: "سه‌شنبه" },
+  wednesday: { en: "Wed", fa: "چهارشنبه" },
+  thursday: { en: "Thu", fa: "پنجشنبه" },
+  friday: { en: "Fri", fa: "جمعه" },
+};
+
+const TIME_PATTERN = /^(?:[01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+export function normaliseOfficeSchedule(schedule) {
+  if (!Array.isArray(schedule)) {
+    return [];
+  }
+  const seen = new Set();
+  return schedule
+    .filter((entry) => entry && WEEKDAYS.includes(entry.day))
+    .map((entry) => ({ day: entry.day, from: String(entry.from ?? ""), to: String(entry.to ?? "") }))
+    .filter((entry) => TIME_PATTERN.test(entry.from) && TIME_PATTERN.test(entry.to))
+    .filter((entry) => {
+      const key = `${entry.day}|${entry.from}|${entry.to}`;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => WEEKDAYS.indexOf(a.day) - WEEKDAYS.indexOf(b.day) || a.from.localeCompare(b.from));
+}
+
+// Readable one-cell form, e.g. "Sat 09:00-13:00, 16:00-20:00; Sun 09:00-13:00".
+export function formatOfficeSchedule(schedule, language = "en") {
+  const byDay = new Map();
+  normaliseOfficeSchedule(schedule).forEach((entry) => {
+    if (!byDay.has(entry.day)) {
+      byDay.set(entry.day, []);
+    }
+    byDay.get(entry.day).push(`${entry.from}-${entry.to}`);
+  });
+  return Array.from(byDay.entries())
+    .map(([day, ranges]) => `${WEEKDAY_LABELS[day][language] || WEEKDAY_LABELS[day].en} ${ranges.join(", ")}`)
+    .join("; ");
+}
@@ -0,0 +1,255 @@
+export const SELECTOR_PROFILE_STORAGE_KEY = "nobatDoctorScraperSelectorProfile";
+export const SELECTOR_PROFILE_VERSION = 1;
+
+// Every CSS selector the content script relies on. `version` is the profile format; `revision` counts saved edits.
+export const DEFAULT_SELECTOR_PROFILE = {
+  version: SELECTOR_PROFILE_VERSION,
+  revision: 0,
+  selectors: {
+    listReady: ["a.doctor-ui", "[data-profile-url]"],
+    doctorCard: ["a.doctor-ui", "a[data-role='doctor-card']", "[data-profile-url]", "[data-doctor-url]"],
+    loadMore: [
+      "button[data-role='load-more']",
+      "button.load-more",
+      "button.more-doctors",
+      ".load-more button",
+      "button[data-action='load-more']",
+      "button.show-more",
+      "a[data-role='load-more']",
+    ],
+    doctorLink: [
+      "a.doctor-ui",
+      "a[data-role='doctor-card']",
+      "a.doctor-card",
+      ".doctor-ui a[href]",
+      "a[href*='/doctor/']",
+      "a[href*='/dr/']",
+      "a[href*='/profile/doctor']",
+    ],
+    doctorLinkAttribute: ["[data-profile-url]", "[data-doctor-url]", "[data-url]", "[data-link]"],
+    nextPage: [
+      "a[rel='next']",
+      "a.pagination-next",
+      ".pagination a.next",
+      ".pagination li.next a",
+      ".pagination li.active + li a",
+      "a[aria-label='Next']",
+      "a[aria-label='next']",
+      "a[aria-label='بعد']",
+      "a[aria-label='بعدی']",
+      "a[aria-label*='بعد']",
+      "a[aria-label*='next']",
+    ],
+    paginationContainer: [".pagination", "nav[aria-label*='page']", "nav[aria-label*='صفحه']", "nav[role='navigation']"],
+    profileReady: ["h1.doctor-ui-name", ".doctor-ui-name", "[itemprop='name']"],
+    name: ["h1.doctor-ui-name .text-ellipsis", "h1.doctor-ui-name", "[itemprop='name']"],
+    specialty: [
+      "h2.doctor-ui-specialty",
+      ".doctor-ui-specialty",
+      ".doctor-specialty",
+      "[data-role='doctor-specialty']",
+      "[itemprop='medicalSpecialty']",
+    ],
+    code: [".doctor-code span:last-child", ".doctor-code", "[data-role='doctor-code']"],
+    rating: [
+      "[itemprop='aggregateRating'] [itemprop='ratingValue']",
+      "[data-role='doctor-rate']",
+      ".doctor-rate .rate-value",
+      ".doctor-rate",
+      ".rating-value",
+    ],
+    reviewCount: [
+      "[itemprop='reviewCount']",
+      "[itemprop='ratingCount']",
+      "[data-role='comments-count']",
+      ".comments-count",
+      ".review-count",
+    ],
+    satisfaction: [
+      "[data-role='satisfaction']",
+      ".doctor-satisfaction",
+      ".satisfaction-percent",
+      ".satisfaction",
+    ],
+    review: [".comment-item", ".review-item", "[data-role='comment']", "[itemprop='review']"],
+    reviewText: [".comment-text", ".comment-body", "[itemprop='reviewBody']", ".review-text"],
+    reviewDate: ["time[datetime]", "[itemprop='datePublished']", ".comment-date", ".review-date"],
+    reviewScore: ["[itemprop='ratingValue']", "[data-role='comment-rate']", ".comment-rate", ".review-score"],
+    reviewRecommended: ["[data-recommended]", "[data-role='recommend']", ".comment-recommend", ".recommend-badge"],
+    reviewsLoadMore: [
+      "button[data-role='more-comments']",
+      "button.more-comments",
+      "button.load-more-comments",
+      ".comments-more button",
+      "a[data-role='more-comments']",
+    ],
+    officeContainer: [
+      ".office",
+      ".doctor-office",
+      ".office-item",
+      ".doctor-ui-office",
+      ".doctor-ui__office",
+      ".office-info",
+    ],
+    addressContainer: [
+      ".office-address",
+      ".doctor-address",
+      "[data-role='address']",
+      "[itemprop='streetAddress']",
+      ".address",
+      ".clinic-address",
+    ],
+    locality: ["[itemprop='addressLocality']"],
+    officeSchedule: [
+      ".office-schedule",
+      ".office-work-times",
+      ".working-hours",
+      "[data-role='work-times']",
+      "[itemprop='openingHours']",
+    ],
+    officeScheduleRow: ["tr", "li", ".schedule-item", ".work-time-item"],
+    officeBooking: [
+      "a[data-role='booking']",
+      "button[data-role='booking']",
+      "a[href*='/booking']",
+      "a[href*='/reserve']",
+      ".btn-booking",
+      ".reserve-button",
+    ],
+    officeConsultation: ["[data-role='consultation']", "a[href*='consult']", ".consultation", ".consultation-type"],
+    officeMap: [
+      "[data-lat]",
+      "[data-latitude]",
+      "a[href*='neshan.org']",
+      "iframe[src*='neshan.org']",
+      "a[href*='google.com/maps']",
+      "a[href*='maps.google.']",
+      "a[href*='goo.gl/maps']",
+      "iframe[src*='google.com/maps']",
+      "a[href*='balad.ir']",
+      "a[href*='waze.com']",
+      "a[href*='openstreetmap.org']",
+      "a[href^='geo:']",
+      "img[src*='staticmap']",
+    ],
+    officeNextSlot: [
+      "[data-next-available]",
+      "[data-role='first-free-turn']",
+      ".first-available-time",
+      ".next-turn",
+      ".earliest-turn",
+    ],
+    phoneContainer: [
+      ".office-description",
+      ".office-contact",
+      "[data-role='tells-container']",
+      ".doctor-phone",
+      ".doctor-phones",
+      ".phone-number",
+      ".contact-phone",
+      ".contact-item",
+    ],
+    phoneReveal: ["button[data-role='show-tells']", "button.show-tells", "[data-role='show-tells'] button"],
+  },
+};
+
+export const SELECTOR_KEYS = Object.keys(DEFAULT_SELECTOR_PROFILE.selectors);
+
+// The service worker has no DOM, so selector syntax can only be checked on extension pages and in the content script.
+export function isValidSelector(selector) {
+  if (typeof selector !== "string" || !selector.trim()) {
+    return false;
+  }
+  if (typeof document === "undefined") {
+    return true;
+  }
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function cloneSelectors(selectors) {
+  return Object.fromEntries(Object.entries(selectors).map(([key, list]) => [key, list.slice()]));
+}
+
+// Strict check used before saving an edited profile; returns one message per problem.
+export function validateSelectorProfile(profile) {
+  const errors = [];
+  if (!profile || typeof profile !== "object" || Array.isArray(profile)) {
+    return ["The profile must be a JSON object."];
+  }
+  if (profile.version !== undefined && profile.version !== SELECTOR_PROFILE_VERSION) {
+    errors.push(`Unsupported profile version ${JSON.stringify(profile.version)} (expected ${SELECTOR_PROFILE_VERSION}).`);
+  }
+  const selectors = profile.selectors;
+  if (!selectors || typeof selectors !== "object" || Array.isArray(selectors)) {
+    errors.push('"selectors" must be an object.');
+    return errors;
+  }
+
+  Object.entries(selectors).forEach(([key, list]) => {
+    if (!SELECTOR_KEYS.includes(key)) {
+      errors.push(`Unknown selector group "${key}".`);
+      return;
+    }
+    if (!Array.isArray(list) || !list.length) {
+      errors.push(`"${key}" must be a non-empty list of selectors.`);
+      return;
+    }
+    list.forEach((selector, index) => {
+      if (!isValidSelector(selector)) {
+        errors.push(`"${key}"[${index}] is not a valid CSS selector: ${JSON.stringify(selector)}.`);
+      }
+    });
+  });
+  return errors;
+}
+
+// Lenient counterpart for stored profiles: invalid selectors are dropped and missing or empty groups use the defaults.
+export function normaliseSelectorProfile(profile) {
+  const selectors = cloneSelectors(DEFAULT_SELECTOR_PROFILE.selectors);
+  const stored = profile && typeof profile === "object" ? profile.selectors : null;
+
+  if (stored && typeof stored === "object") {
+    SELECTOR_KEYS.forEach((key) => {
+      const list = Array.isArray(stored[key])
+        ? stored[key].filter(isValidSelector).map((selector) => selector.trim())
+        : [];
+      if (list.length) {
+        selectors[key] = Array.from(new Set(list));
+      }
+    });
+  }
+
+  const revision = Number.parseInt(profile?.revision, 10);
+  return {
+    version: SELECTOR_PROFILE_VERSION,
+    revision: Number.isFinite(revision) && revision > 0 ? revision : 0,
+    selectors,
+  };
+}
+
+export async function loadSelectorProfile() {
+  try {
+    const stored = await chrome.storage.local.get(SELECTOR_PROFILE_STORAGE_KEY);
+    return normaliseSelectorProfile(stored?.[SELECTOR_PROFILE_STORAGE_KEY]);
+  } catch (error) {
+    console.warn("Failed to load selector profile", error);
+    return normaliseSelectorProfile(null);
+  }
+}
+
+export async function saveSelectorProfile(profile) {
+  const previous = await loadSelectorProfile();
+  const normalised = { ...normaliseSelectorProfile(profile), revision: previous.revision + 1 };
+  await chrome.storage.local.set({ [SELECTOR_PROFILE_STORAGE_KEY]: normalised });
+  return normalised;
+}
+
+export async function resetSelectorProfile() {
+  await chrome.storage.local.remove(SELECTOR_PROFILE_STORAGE_KEY);
+  return normaliseSelectorProfile(null);
+}
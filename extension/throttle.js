@@ -0,0 +1,69 @@
+const MAX_DELAY_MS = 60000;
+const MIN_BACKOFF_DELAY_MS = 1000;
+const BACKOFF_FACTOR = 2;
+const SLOWDOWN_FACTOR = 1.5;
+const RECOVERY_FACTOR = 0.9;
+const JITTER_RATIO = 0.25;
+const LOAD_TIME_SMOOTHING = 0.2;
+const SLOW_LOAD_RATIO = 2;
+const MIN_LOAD_SAMPLES = 3;
+
+// Jitter only adds time, so requests are never spaced closer than the configured delay.
+function withJitter(delayMs) {
+  const spread = delayMs * JITTER_RATIO;
+  return Math.max(0, Math.round(delayMs + Math.random() * spread));
+}
+
+// Backs off exponentially on failures and slow page loads, then recovers gradually towards the configured delay.
+export function createAdaptiveThrottle(baseDelayMs) {
+  let baseDelay = Math.max(0, baseDelayMs);
+  let currentDelay = baseDelay;
+  let averageLoadMs = null;
+  let loadSamples = 0;
+  let consecutiveFailures = 0;
+
+  function clampDelay(value) {
+    return Math.min(MAX_DELAY_MS, Math.max(baseDelay, Math.round(value)));
+  }
+
+  return {
+    setBaseDelay(delayMs) {
+      baseDelay = Math.max(0, delayMs);
+      currentDelay = clampDelay(currentDelay);
+    },
+    recordSuccess(loadMs) {
+      consecutiveFailures = 0;
+      const isSlow =
+        loadSamples >= MIN_LOAD_SAMPLES && averageLoadMs !== null && loadMs > averageLoadMs * SLOW_LOAD_RATIO;
+
+      if (isSlow) {
+        currentDelay = clampDelay(Math.max(currentDelay, MIN_BACKOFF_DELAY_MS) * SLOWDOWN_FACTOR);
+      } else {
+        currentDelay = clampDelay(currentDelay * RECOVERY_FACTOR);
+      }
+
+      averageLoadMs =
+        averageLoadMs === null ? loadMs : averageLoadMs + (loadMs - averageLoadMs) * LOAD_TIME_SMOOTHING;
+      loadSamples += 1;
+    },
+    recordFailure() {
+      consecutiveFailures += 1;
+      currentDelay = clampDelay(Math.max(currentDelay, MIN_BACKOFF_DELAY_MS) * BACKOFF_FACTOR);
+    },
+    nextDelay() {
+      return withJitter(currentDelay);
+    },
+    retryDelay(attempt) {
+      const backoff = Math.max(currentDelay, MIN_BACKOFF_DELAY_MS) * BACKOFF_FACTOR ** Math.max(0, attempt - 1);
+      return withJitter(Math.min(MAX_DELAY_MS, backoff));
+    },
+    snapshot() {
+      return {
+        effectiveDelayMs: currentDelay,
+        averageLoadMs: averageLoadMs === null ? null : Math.round(averageLoadMs),
+        backingOff: currentDelay > baseDelay,
+        consecutiveFailures,
+      };
+    },
+  };
+}
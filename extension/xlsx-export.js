@@ -0,0 +1,208 @@
+import { formatYesNo, getOfficeFieldValues, normaliseValue } from "./csv-export.js";
+import { downloadFile } from "./downloads.js";
+import {
+  getOfficeFieldLabel,
+  getSelectedColumns,
+  isColumnSelected,
+  normaliseExportSchema,
+} from "./export-schema.js";
+import { formatOfficeSchedule } from "./schedule.js";
+import { createZip } from "./zip.js";
+
+const XLSX_MIME_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+const MIN_COLUMN_WIDTH = 8;
+const MAX_COLUMN_WIDTH = 80;
+// Persian glyphs render wider than Latin ones at the same font size.
+const RTL_WIDTH_FACTOR = 1.3;
+
+const OFFICE_HEADERS = [
+  { field: "doctorUrl", value: (row) => row?.url },
+  { field: "doctorName", value: (row) => row?.name },
+  { field: "doctorCode", value: (row) => row?.code },
+  { field: "index", value: (row, office, index) => index + 1 },
+  { field: "city", value: (row, office) => office?.city },
+  { field: "addresses", value: (row, office) => getOfficeFieldValues(office, "addresses", "address") },
+  { field: "phones", value: (row, office) => getOfficeFieldValues(office, "phones", "phone") },
+  { field: "schedule", value: (row, office, index, language) => formatOfficeSchedule(office?.schedule, language) },
+  { field: "onlineBooking", value: (row, office) => formatYesNo(office?.onlineBooking) },
+  { field: "phoneConsultation", value: (row, office) => formatYesNo(office?.phoneConsultation) },
+  { field: "onlineConsultation", value: (row, office) => formatYesNo(office?.onlineConsultation) },
+  { field: "nextAvailable", value: (row, office) => office?.nextAvailable },
+  { field: "latitude", value: (row, office) => office?.latitude },
+  { field: "longitude", value: (row, office) => office?.longitude },
+];
+
+export function escapeXml(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function toColumnName(index) {
+  let name = "";
+  let remaining = index + 1;
+  while (remaining > 0) {
+    const modulo = (remaining - 1) % 26;
+    name = String.fromCharCode(65 + modulo) + name;
+    remaining = Math.floor((remaining - modulo) / 26);
+  }
+  return name;
+}
+
+function measureWidth(text) {
+  const rtl = /[؀-ۿ]/.test(text);
+  const width = Math.ceil(text.length * (rtl ? RTL_WIDTH_FACTOR : 1)) + 2;
+  return Math.min(MAX_COLUMN_WIDTH, Math.max(MIN_COLUMN_WIDTH, width));
+}
+
+// Values that are numbers in the results (rating, counts, coordinates) become numeric cells Excel can sort and sum.
+// Everything else is an inline string in a text-formatted cell, so phones and codes keep their leading zeros and
+// never become numbers or formulas.
+function buildSheetXml(headers, rows) {
+  const widths = headers.map((header) => measureWidth(header));
+  const lines = [headers, ...rows].map((cells, rowIndex) => {
+    const cellXml = cells
+      .map((cell, columnIndex) => {
+        const reference = `${toColumnName(columnIndex)}${rowIndex + 1}`;
+        if (rowIndex > 0 && typeof cell === "number" && Number.isFinite(cell)) {
+          widths[columnIndex] = Math.max(widths[columnIndex], measureWidth(String(cell)));
+          return `<c r="${reference}"><v>${cell}</v></c>`;
+        }
+        const text = normaliseValue(cell);
+        if (!text) {
+          return "";
+        }
+        widths[columnIndex] = Math.max(widths[columnIndex], measureWidth(text));
+        const style = rowIndex === 0 ? 1 : 2;
+        return `<c r="${reference}" s="${style}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+      })
+      .join("");
+    return `<row r="${rowIndex + 1}">${cellXml}</row>`;
+  });
+
+  const columns = widths
+    .map((width, index) => `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`)
+    .join("");
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">',
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>',
+    columns ? `<cols>${columns}</cols>` : "",
+    `<sheetData>${lines.join("")}</sheetData>`,
+    "</worksheet>",
+  ].join("");
+}
+
+function buildDoctorSheet(rows, schema) {
+  const columns = getSelectedColumns(schema).filter((column) => column.key !== "offices");
+  const headers = columns.map((column) => column.label);
+  const values = rows.map((row) => columns.map((column) => row?.[column.key]));
+  return buildSheetXml(headers, values);
+}
+
+function buildOfficeSheet(rows, schema) {
+  const { language } = normaliseExportSchema(schema);
+  const headers = OFFICE_HEADERS.map((header) => getOfficeFieldLabel(header.field, language));
+  const values = [];
+  rows.forEach((row) => {
+    const offices = Array.isArray(row?.offices) ? row.offices : [];
+    offices.forEach((office, index) => {
+      values.push(OFFICE_HEADERS.map((header) => header.value(row, office, index, language)));
+    });
+  });
+  return buildSheetXml(headers, values);
+}
+
+function buildContentTypesXml(sheetCount) {
+  const sheetOverrides = Array.from(
+    { length: sheetCount },
+    (_, index) =>
+      `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+    '<Default Extension="xml" ContentType="application/xml"/>',
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>',
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>',
+    ...sheetOverrides,
+    "</Types>",
+  ].join("");
+}
+
+const ROOT_RELS_XML = [
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>',
+  "</Relationships>",
+].join("");
+
+function buildWorkbookXml(sheetNames) {
+  const sheets = sheetNames
+    .map((name, index) => `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`)
+    .join("");
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">',
+    `<sheets>${sheets}</sheets>`,
+    "</workbook>",
+  ].join("");
+}
+
+function buildWorkbookRelsXml(sheetCount) {
+  const sheetRelationships = Array.from(
+    { length: sheetCount },
+    (_, index) =>
+      `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+    ...sheetRelationships,
+    `<Relationship Id="rId${sheetCount + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`,
+    "</Relationships>",
+  ].join("");
+}
+
+// Style 0 (general) is for numeric cells, style 1 is the bold header and style 2 is a text-formatted body cell
+// (numFmtId 49 = "@").
+const STYLES_XML = [
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">',
+  '<fonts count="2"><font><sz val="11"/><name val="Tahoma"/></font><font><b/><sz val="11"/><name val="Tahoma"/></font></fonts>',
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>',
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>',
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>',
+  '<cellXfs count="3">',
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>',
+  '<xf numFmtId="49" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1" applyNumberFormat="1"/>',
+  '<xf numFmtId="49" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>',
+  "</cellXfs>",
+  "</styleSheet>",
+].join("");
+
+export function convertToXlsx(rows, { schema } = {}) {
+  const normalisedRows = Array.isArray(rows) ? rows : [];
+  const sheets = [{ name: "Doctors", xml: buildDoctorSheet(normalisedRows, schema) }];
+  if (isColumnSelected(schema, "offices")) {
+    sheets.push({ name: "Offices", xml: buildOfficeSheet(normalisedRows, schema) });
+  }
+
+  return createZip([
+    { name: "[Content_Types].xml", content: buildContentTypesXml(sheets.length) },
+    { name: "_rels/.rels", content: ROOT_RELS_XML },
+    { name: "xl/workbook.xml", content: buildWorkbookXml(sheets.map((sheet) => sheet.name)) },
+    { name: "xl/_rels/workbook.xml.rels", content: buildWorkbookRelsXml(sheets.length) },
+    { name: "xl/styles.xml", content: STYLES_XML },
+    ...sheets.map((sheet, index) => ({ name: `xl/worksheets/sheet${index + 1}.xml`, content: sheet.xml })),
+  ]);
+}
+
+export async function downloadXlsx(filename, rows, options = {}) {
+  await downloadFile(filename, convertToXlsx(rows, options), XLSX_MIME_TYPE);
+}
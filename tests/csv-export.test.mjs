@@ -0,0 +1,36 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { convertTableToCsv, convertToCsv } from "../extension/csv-export.js";
+
+test("cells that would be evaluated as formulas are prefixed by default", () => {
+  const csv = convertTableToCsv(["a", "b"], [["=HYPERLINK(A1)", "@SUM(1)"]]);
+  assert.equal(csv.split("\n")[1], "'=HYPERLINK(A1),'@SUM(1)");
+});
+
+test("phone numbers keep their leading + only in phone columns", () => {
+  const csv = convertTableToCsv(["note", "phone"], [["+98 21 8800 1122", "+98 21 8800 1122"]], null, {
+    phoneColumns: [1],
+  });
+  assert.equal(csv.split("\n")[1], "'+98 21 8800 1122,+98 21 8800 1122");
+});
+
+test("phone columns still guard values that are not phone numbers", () => {
+  const csv = convertTableToCsv(["phone"], [["+cmd|' /C calc'!A0"]], null, { phoneColumns: [0] });
+  assert.equal(csv.split("\n")[1], "'+cmd|' /C calc'!A0");
+});
+
+test("doctor and office phone columns are exempt in the wide export", () => {
+  const rows = [{ name: "+Dr", phones: ["+982188001122"], offices: [{ city: "Tehran", phones: ["+989121234567"] }] }];
+  const [headerLine, dataLine] = convertToCsv(rows).split("\n");
+  const headers = headerLine.split(",");
+  const values = dataLine.split(",");
+  assert.equal(values[headers.indexOf("Name")], "'+Dr");
+  assert.equal(values[headers.indexOf("Phones")], "+982188001122");
+  assert.ok(values.includes("+989121234567"));
+});
+
+test("the guard can be turned off", () => {
+  const csv = convertTableToCsv(["a"], [["=1+1"]], { formulaGuard: false });
+  assert.equal(csv.split("\n")[1], "=1+1");
+});
@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { compareWithPreviousRun } from "../extension/delta.js";
+
+// A doctor as stored by a run from before offices carried schedules, booking flags or coordinates.
+const OLD_SHAPE_RUN = [
+  {
+    url: "https://nobat.ir/doctor/1",
+    name: "دکتر نمونه",
+    specialty: "قلب",
+    code: "12345",
+    city: "تهران",
+    address: ["خیابان ولیعصر"],
+    phones: ["021-88001122"],
+    offices: [{ city: "تهران", addresses: ["خیابان ولیعصر"], phones: ["88001122"] }],
+  },
+];
+
+function currentShape(officeOverrides = {}) {
+  return {
+    ...OLD_SHAPE_RUN[0],
+    phones: ["+982188001122"],
+    offices: [
+      {
+        city: "تهران",
+        addresses: ["خیابان ولیعصر"],
+        phones: ["+982188001122"],
+        schedule: [],
+        onlineBooking: null,
+        phoneConsultation: null,
+        onlineConsultation: null,
+        nextAvailable: "2026-10-20T10:30",
+        latitude: null,
+        longitude: null,
+        ...officeOverrides,
+      },
+    ],
+  };
+}
+
+test("an unchanged doctor matches a run stored before the newer office fields", () => {
+  const { results, counts } = compareWithPreviousRun([currentShape()], OLD_SHAPE_RUN);
+  assert.equal(results[0].change, "unchanged");
+  assert.deepEqual(results[0].changedFields, []);
+  assert.equal(counts.changed, 0);
+});
+
+test("a newly scraped office value still counts as a change", () => {
+  const { results } = compareWithPreviousRun(
+    [currentShape({ schedule: [{ day: "saturday", from: "09:00", to: "13:00" }] })],
+    OLD_SHAPE_RUN
+  );
+  assert.equal(results[0].change, "changed");
+  assert.deepEqual(results[0].changedFields, ["offices"]);
+});
+
+test("a booking flag found where none was stored before counts as a change", () => {
+  const { results } = compareWithPreviousRun([currentShape({ onlineBooking: true })], OLD_SHAPE_RUN);
+  assert.equal(results[0].change, "changed");
+});
+
+test("coordinates found where none were stored before count as a change", () => {
+  const { results } = compareWithPreviousRun([currentShape({ latitude: 35.7, longitude: 51.4 })], OLD_SHAPE_RUN);
+  assert.equal(results[0].change, "changed");
+});
+
+test("a profile that fails in this run is neither compared nor reported as removed", () => {
+  const other = { ...OLD_SHAPE_RUN[0], url: "https://nobat.ir/doctor/2", code: "67890" };
+  const failed = { url: other.url, error: "Timed out", errorCode: "TIMEOUT" };
+  const { results, removed, counts } = compareWithPreviousRun([currentShape(), failed], [...OLD_SHAPE_RUN, other]);
+  assert.equal(results[1].change, "");
+  assert.deepEqual(removed, []);
+  assert.equal(counts.removed, 0);
+});
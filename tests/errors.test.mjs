@@ -0,0 +1,30 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { classifyError, classifyReportedError, createError, isTransientError } from "../extension/errors.js";
+
+test("unrecognised errors are not retried", () => {
+  assert.equal(classifyError(new Error("Something odd happened")), "UNKNOWN");
+  assert.equal(isTransientError("UNKNOWN"), false);
+});
+
+test("content-script failures count as failed extractions, not transient errors", () => {
+  const code = classifyReportedError("Cannot read properties of null (reading 'textContent')");
+  assert.equal(code, "EXTRACTION_FAILED");
+  assert.equal(isTransientError(code), false);
+});
+
+test("an error page reported by the tab is classified by its HTTP status", () => {
+  assert.equal(classifyReportedError("Profile page returned HTTP 404.", 404), "NOT_FOUND");
+  assert.equal(classifyReportedError("Profile page returned HTTP 503.", 503), "SERVER_ERROR");
+  assert.equal(isTransientError("SERVER_ERROR"), true);
+});
+
+test("reported messages that name a known failure keep their class", () => {
+  assert.equal(classifyReportedError("Navigation timed out"), "TIMEOUT");
+  assert.equal(isTransientError("TIMEOUT"), true);
+});
+
+test("codes set when the error was created take precedence over the message", () => {
+  assert.equal(classifyError(createError("RATE_LIMITED", "timed out")), "RATE_LIMITED");
+});